@@ -1,9 +1,16 @@
 const Connection = require('./lib/Connection');
 const Model = require('./lib/Model');
 const DataTypes = require('./lib/DataTypes');
+const Engines = require('./lib/Engines');
 const { literal, Literal } = require('./lib/Literals');
 const QueryBuilder = require('./lib/QueryBuilder');
 const Schema = require('./lib/Schema');
+const Relations = require('./lib/Relations');
+const Migrator = require('./lib/Migrator');
+const MaterializedView = require('./lib/MaterializedView');
+const RetryPolicy = require('./lib/RetryPolicy');
+const Errors = require('./lib/Errors');
+const Hooks = require('./lib/Hooks');
 
 /**
  * Main ClickHouse ORM class
@@ -11,9 +18,32 @@ const Schema = require('./lib/Schema');
 class ClickHouseORM {
   constructor(config) {
     this.connection = new Connection(config);
+    this.cluster = config.cluster || null;
     this.models = new Map();
+    this.views = new Map();
     this.DataTypes = DataTypes;
+    this.Engines = Engines;
     this.literal = literal;
+    this.hydration = config.hydration || {};
+    this.relations = new Relations(this);
+    this.hooks = new Hooks(Hooks.GLOBAL_HOOKS, config.hooks);
+    this.connection.hooks = this.hooks;
+  }
+
+  /**
+   * Register a global hook, run around every query and insert
+   */
+  addHook(name, fn) {
+    this.hooks.add(name, fn);
+    return this;
+  }
+
+  /**
+   * Remove a global hook, or every hook of that name
+   */
+  removeHook(name, fn) {
+    this.hooks.remove(name, fn);
+    return this;
   }
 
   /**
@@ -58,6 +88,41 @@ class ClickHouseORM {
     return Array.from(this.models.values());
   }
 
+  /**
+   * Define a materialized view
+   *
+   * `from` and `to` take models, model names, other views or table names;
+   * `query` is a QueryBuilder (its table defaults to `from`) or a SQL string.
+   */
+  defineMaterializedView(name, options = {}) {
+    const view = new MaterializedView(name, {
+      ...options,
+      from: this.resolveRelation(options.from),
+      to: this.resolveRelation(options.to)
+    });
+
+    this.views.set(name, view);
+    return view;
+  }
+
+  /**
+   * Get a defined materialized view
+   */
+  view(name) {
+    return this.views.get(name);
+  }
+
+  /**
+   * Resolve a model or view name, leaving other values as they are
+   */
+  resolveRelation(value) {
+    if (typeof value !== 'string') {
+      return value;
+    }
+
+    return this.models.get(value) || this.views.get(value) || value;
+  }
+
   /**
    * Execute raw query
    */
@@ -66,22 +131,114 @@ class ClickHouseORM {
   }
 
   /**
-   * Create query builder
+   * Create query builder, optionally typed by a model's attributes
+   */
+  createQueryBuilder(model = null) {
+    const target = typeof model === 'string' ? this.model(model) : model;
+    return new QueryBuilder(this.connection, target);
+  }
+
+  /**
+   * Create migration runner
    */
-  createQueryBuilder() {
-    return new QueryBuilder(this.connection);
+  createMigrator(options = {}) {
+    return new Migrator(this, options);
   }
 
   /**
    * Sync models with database
+   *
+   * With `alter: true` existing tables are compared against system.columns
+   * and altered to match; `dryRun: true` returns the planned statements
+   * without running them.
    */
   async sync(options = {}) {
-    const schema = new Schema(this.connection);
+    const schema = new Schema(this.connection, { cluster: this.cluster });
+    const statements = [];
     
     for (const model of this.models.values()) {
+      await this.syncTable(schema, model, options, statements);
+
+      // Dictionaries read from their model's table, so they are created after it
+      if (model.options.dictionary) {
+        if (options.dryRun) {
+          statements.push(schema.generateCreateDictionarySQL(model));
+        } else {
+          await schema.createDictionary(model);
+        }
+      }
+    }
+
+    // Views come last, after the tables they read from and write to
+    for (const view of MaterializedView.sort(this.views.values())) {
+      if (options.dryRun) {
+        statements.push(...schema.generateCreateMaterializedViewSQL(view, options));
+      } else {
+        statements.push(...await schema.createMaterializedView(view, options));
+      }
+    }
+
+    return statements;
+  }
+
+  /**
+   * Drop views, dictionaries and tables of every defined model
+   *
+   * Views are dropped first, dependents before the views they read from.
+   */
+  async drop() {
+    const schema = new Schema(this.connection, { cluster: this.cluster });
+
+    for (const view of MaterializedView.sort(this.views.values()).reverse()) {
+      await schema.dropView(view.name, view.options.cluster !== undefined ? { cluster: view.options.cluster } : {});
+    }
+
+    for (const model of this.models.values()) {
+      if (model.options.dictionary) {
+        await schema.dropDictionary(schema.getDictionaryName(model), { cluster: model.getCluster() });
+      }
+
+      if (!(model.options.dictionary && model.options.dictionary.source)) {
+        await schema.dropTable(model.tableName, { cluster: model.getCluster() });
+      }
+
+      // The Distributed table goes first, then the local table it reads
+      if (model.getDistribution()) {
+        await schema.dropTable(model.getStorageTable(), { cluster: model.getCluster() });
+      }
+    }
+  }
+
+  /**
+   * Create or alter a model's table, collecting statements for dry runs
+   */
+  async syncTable(schema, model, options, statements) {
+    // Dictionaries with an explicit source have no table of their own
+    if (model.options.dictionary && model.options.dictionary.source) {
+      return;
+    }
+
+    if (options.alter) {
+      statements.push(...await schema.alterTable(model, options));
+    } else if (options.dryRun) {
+      statements.push(...schema.getCreateTableStatements(model, options));
+    } else {
       await schema.createTable(model, options);
     }
   }
 }
 
+ClickHouseORM.DataTypes = DataTypes;
+ClickHouseORM.Engines = Engines;
+ClickHouseORM.literal = literal;
+ClickHouseORM.MaterializedView = MaterializedView;
+ClickHouseORM.RetryPolicy = RetryPolicy;
+ClickHouseORM.ORMError = Errors.ORMError;
+ClickHouseORM.ConnectionError = Errors.ConnectionError;
+ClickHouseORM.QueryError = Errors.QueryError;
+ClickHouseORM.TimeoutError = Errors.TimeoutError;
+ClickHouseORM.SchemaError = Errors.SchemaError;
+ClickHouseORM.ValidationError = Errors.ValidationError;
+ClickHouseORM.ErrorCodes = Errors.CODES;
+
 module.exports = ClickHouseORM;
\ No newline at end of file
@@ -1,3 +1,31 @@
+const { parseType, formatType, unwrapType, normalizeType } = require('./TypeParser');
+
+/**
+ * Builder that can also be used uncalled, e.g. `type: DataTypes.DateTime`
+ */
+function typeBuilder(build) {
+  const builder = (...args) => build(...args);
+  builder.toString = () => build();
+  return builder;
+}
+
+function quote(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+function enumValues(values) {
+  return Object.entries(values).map(([k, v]) => `${quote(k)} = ${v}`).join(', ');
+}
+
+function namedElements(elements) {
+  return Object.entries(elements).map(([name, type]) => `${name} ${type}`).join(', ');
+}
+
+const INTEGER_TYPES = [
+  'UInt8', 'UInt16', 'UInt32', 'UInt64', 'UInt128', 'UInt256',
+  'Int8', 'Int16', 'Int32', 'Int64', 'Int128', 'Int256'
+];
+
 /**
  * ClickHouse data types
  */
@@ -7,65 +35,119 @@ const DataTypes = {
   UInt16: 'UInt16',
   UInt32: 'UInt32',
   UInt64: 'UInt64',
+  UInt128: 'UInt128',
+  UInt256: 'UInt256',
   Int8: 'Int8',
   Int16: 'Int16',
   Int32: 'Int32',
   Int64: 'Int64',
+  Int128: 'Int128',
+  Int256: 'Int256',
   Float32: 'Float32',
   Float64: 'Float64',
   Decimal: (precision, scale) => `Decimal(${precision}, ${scale})`,
+  Decimal32: (scale) => `Decimal32(${scale})`,
+  Decimal64: (scale) => `Decimal64(${scale})`,
+  Decimal128: (scale) => `Decimal128(${scale})`,
+  Decimal256: (scale) => `Decimal256(${scale})`,
 
   // String types
   String: 'String',
   FixedString: (length) => `FixedString(${length})`,
 
-  // Date and time types
+  // Date and time types, optionally in a named timezone
   Date: 'Date',
-  DateTime: 'DateTime',
-  DateTime64: (precision = 3) => `DateTime64(${precision})`,
+  Date32: 'Date32',
+  DateTime: typeBuilder((timezone) => timezone ? `DateTime(${quote(timezone)})` : 'DateTime'),
+  DateTime64: typeBuilder((precision = 3, timezone) =>
+    timezone ? `DateTime64(${precision}, ${quote(timezone)})` : `DateTime64(${precision})`
+  ),
 
   // Boolean type
-  Boolean: 'UInt8', // ClickHouse doesn't have native boolean
+  Bool: 'Bool',
+  Boolean: 'Bool',
+
+  // Network types
+  IPv4: 'IPv4',
+  IPv6: 'IPv6',
 
   // Array types
   Array: (type) => `Array(${type})`,
 
+  // Map, tuple and nested types; tuples take a list of types or a name -> type map
+  Map: (keyType, valueType) => `Map(${keyType}, ${valueType})`,
+  Tuple: (...types) => types.length === 1 && typeof types[0] === 'object'
+    ? `Tuple(${namedElements(types[0])})`
+    : `Tuple(${types.join(', ')})`,
+  Nested: (elements) => `Nested(${namedElements(elements)})`,
+
   // Nullable types
   Nullable: (type) => `Nullable(${type})`,
 
   // Enum types
-  Enum8: (values) => `Enum8(${Object.entries(values).map(([k, v]) => `'${k}' = ${v}`).join(', ')})`,
-  Enum16: (values) => `Enum16(${Object.entries(values).map(([k, v]) => `'${k}' = ${v}`).join(', ')})`,
+  Enum8: (values) => `Enum8(${enumValues(values)})`,
+  Enum16: (values) => `Enum16(${enumValues(values)})`,
 
   // UUID type
   UUID: 'UUID',
 
-  // JSON type (experimental)
+  // Semi-structured types
   JSON: 'JSON',
+  Object: typeBuilder((schema = 'json') => `Object(${quote(schema)})`),
+  Variant: (...types) => `Variant(${types.join(', ')})`,
+  Dynamic: typeBuilder((maxTypes) => maxTypes === undefined ? 'Dynamic' : `Dynamic(max_types=${maxTypes})`),
+
+  // Aggregate function states, e.g. AggregateFunction('quantiles(0.5, 0.9)', 'UInt64')
+  AggregateFunction: (fn, ...types) => `AggregateFunction(${[fn, ...types].join(', ')})`,
+  SimpleAggregateFunction: (fn, type) => `SimpleAggregateFunction(${fn}, ${type})`,
 
   // Low cardinality
   LowCardinality: (type) => `LowCardinality(${type})`,
 
-  // Helper methods
+  // Type expression parsing
+  parse: parseType,
+  format: formatType,
+  unwrap: unwrapType,
+  normalize: normalizeType,
+
+  // Helper methods; Nullable and LowCardinality wrappers are looked through
+  isInteger: (type) => {
+    return INTEGER_TYPES.includes(unwrapType(type).name);
+  },
+
   isNumeric: (type) => {
-    const numericTypes = ['UInt8', 'UInt16', 'UInt32', 'UInt64', 'Int8', 'Int16', 'Int32', 'Int64', 'Float32', 'Float64'];
-    return numericTypes.includes(type) || type.startsWith('Decimal');
+    const { name } = unwrapType(type);
+    return INTEGER_TYPES.includes(name) || /^(Float(32|64)|BFloat16|Decimal(32|64|128|256)?)$/.test(name);
   },
 
   isString: (type) => {
-    return type === 'String' || type.startsWith('FixedString');
+    return ['String', 'FixedString'].includes(unwrapType(type).name);
   },
 
   isDate: (type) => {
-    return ['Date', 'DateTime'].includes(type) || type.startsWith('DateTime64');
+    return ['Date', 'Date32', 'DateTime', 'DateTime64'].includes(unwrapType(type).name);
   },
 
   isArray: (type) => {
-    return type.startsWith('Array');
+    return unwrapType(type).name === 'Array';
+  },
+
+  isMap: (type) => {
+    return unwrapType(type).name === 'Map';
+  },
+
+  isTuple: (type) => {
+    return unwrapType(type).name === 'Tuple';
   },
 
   isNullable: (type) => {
-    return type.startsWith('Nullable');
+    let node = parseType(type);
+
+    while (node.name === 'LowCardinality' && node.args.length === 1) {
+      node = node.args[0];
+    }
+
+    return node.name === 'Nullable';
   }
 };
 
@@ -0,0 +1,203 @@
+const { SchemaError } = require('./Errors');
+
+/**
+ * Table engine definition used by Schema and Model
+ */
+class Engine {
+  constructor(name, args = [], options = {}) {
+    this.name = name;
+    this.args = args;
+    this.columns = options.columns || {};
+    this.family = options.family || (/MergeTree$/.test(name) ? 'MergeTree' : name);
+    this.supportsFinal = Boolean(options.supportsFinal);
+  }
+
+  /**
+   * Whether the engine takes ORDER BY, PARTITION BY, TTL and friends
+   */
+  get isMergeTree() {
+    return this.family === 'MergeTree';
+  }
+
+  /**
+   * Check the columns the engine references against the model attributes
+   */
+  validate(model) {
+    for (const [role, spec] of Object.entries(this.columns)) {
+      const names = Array.isArray(spec.name) ? spec.name : [spec.name];
+
+      for (const name of names) {
+        if (!name) {
+          continue;
+        }
+
+        const definition = model.attributes[name];
+        if (!definition) {
+          throw new SchemaError(`${this.name} ${role} column "${name}" is not an attribute of ${model.name}`);
+        }
+
+        const type = typeof definition === 'string' ? definition : definition.type;
+        if (spec.types && !spec.types.test(type)) {
+          throw new SchemaError(`${this.name} ${role} column "${name}" of ${model.name} has unsupported type ${type}`);
+        }
+      }
+    }
+  }
+
+  toString() {
+    return `${this.name}(${this.args.join(', ')})`;
+  }
+
+  /**
+   * Wrap a free-form engine string such as 'ReplacingMergeTree(ver)'
+   */
+  static from(engine) {
+    if (engine instanceof Engine) {
+      return engine;
+    }
+
+    const source = String(engine || 'MergeTree()').trim();
+    const match = source.match(/^(\w+)\s*(?:\((.*)\))?$/s);
+    const name = match ? match[1] : source;
+    const args = match && match[2] ? [match[2]] : [];
+    const raw = new Engine(name, args, { supportsFinal: FINAL_ENGINES.test(name) });
+
+    // Keep the original text so arguments are emitted untouched
+    raw.toString = () => source;
+    return raw;
+  }
+}
+
+const FINAL_ENGINES = /^(Replicated)?(Replacing|Collapsing|VersionedCollapsing|Summing|Aggregating)MergeTree$|^Distributed$/;
+
+const VERSION_TYPES = /^(U?Int\d+|Date|Date32|DateTime(64)?)(\(.*\))?$/;
+const SIGN_TYPES = /^Int8$/;
+const IS_DELETED_TYPES = /^UInt8$/;
+const NUMERIC_TYPES = /^(U?Int\d+|Float\d+|Decimal.*)$/;
+
+/**
+ * Quote a string engine argument
+ */
+function quote(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+/**
+ * Typed builders for ClickHouse table engines
+ */
+const Engines = {
+  Engine,
+
+  MergeTree: () => new Engine('MergeTree'),
+
+  ReplacingMergeTree: ({ version, isDeleted } = {}) => {
+    if (isDeleted && !version) {
+      throw new SchemaError('ReplacingMergeTree isDeleted column requires a version column');
+    }
+
+    return new Engine('ReplacingMergeTree', [version, isDeleted].filter(Boolean), {
+      supportsFinal: true,
+      columns: {
+        version: { name: version, types: VERSION_TYPES },
+        isDeleted: { name: isDeleted, types: IS_DELETED_TYPES }
+      }
+    });
+  },
+
+  SummingMergeTree: (columns = []) => {
+    const list = Array.isArray(columns) ? columns : [columns];
+    const args = list.length === 0 ? [] : [list.length === 1 ? list[0] : `(${list.join(', ')})`];
+
+    return new Engine('SummingMergeTree', args, {
+      supportsFinal: true,
+      columns: { sum: { name: list, types: NUMERIC_TYPES } }
+    });
+  },
+
+  AggregatingMergeTree: () => new Engine('AggregatingMergeTree', [], { supportsFinal: true }),
+
+  CollapsingMergeTree: (sign) => {
+    if (!sign) {
+      throw new SchemaError('CollapsingMergeTree requires a sign column');
+    }
+
+    return new Engine('CollapsingMergeTree', [sign], {
+      supportsFinal: true,
+      columns: { sign: { name: sign, types: SIGN_TYPES } }
+    });
+  },
+
+  VersionedCollapsingMergeTree: (sign, version) => {
+    if (!sign || !version) {
+      throw new SchemaError('VersionedCollapsingMergeTree requires sign and version columns');
+    }
+
+    return new Engine('VersionedCollapsingMergeTree', [sign, version], {
+      supportsFinal: true,
+      columns: {
+        sign: { name: sign, types: SIGN_TYPES },
+        version: { name: version, types: VERSION_TYPES }
+      }
+    });
+  },
+
+  ReplicatedMergeTree: (path = '/clickhouse/tables/{shard}/{database}/{table}', replica = '{replica}') =>
+    Engines.Replicated(Engines.MergeTree(), path, replica),
+
+  /**
+   * Replicated variant of any MergeTree engine, e.g.
+   * `Replicated(Engines.ReplacingMergeTree({ version: 'v' }))`
+   */
+  Replicated: (engine, path = '/clickhouse/tables/{shard}/{database}/{table}', replica = '{replica}') => {
+    if (!engine.isMergeTree || engine.name.startsWith('Replicated')) {
+      throw new SchemaError(`Cannot replicate engine ${engine.name}`);
+    }
+
+    return new Engine(`Replicated${engine.name}`, [quote(path), quote(replica), ...engine.args], {
+      supportsFinal: engine.supportsFinal,
+      columns: engine.columns
+    });
+  },
+
+  Distributed: (cluster, database, table, shardingKey) => {
+    if (!cluster || !table) {
+      throw new SchemaError('Distributed requires a cluster and a table');
+    }
+
+    const args = [quote(cluster), database ? quote(database) : 'currentDatabase()', quote(table)];
+    if (shardingKey) {
+      args.push(shardingKey);
+    }
+
+    return new Engine('Distributed', args, { family: 'Distributed', supportsFinal: true });
+  },
+
+  Buffer: (database, table, options = {}) => {
+    const {
+      numLayers = 16,
+      minTime = 10,
+      maxTime = 100,
+      minRows = 10000,
+      maxRows = 1000000,
+      minBytes = 10000000,
+      maxBytes = 100000000
+    } = options;
+
+    return new Engine('Buffer', [
+      database ? quote(database) : 'currentDatabase()',
+      quote(table),
+      numLayers, minTime, maxTime, minRows, maxRows, minBytes, maxBytes
+    ], { family: 'Buffer' });
+  },
+
+  Memory: () => new Engine('Memory', [], { family: 'Memory' }),
+
+  Log: () => new Engine('Log', [], { family: 'Log' }),
+
+  /**
+   * Normalize an engine option (builder result or string) to an Engine
+   */
+  resolve: (engine) => Engine.from(engine)
+};
+
+module.exports = Engines;
@@ -0,0 +1,232 @@
+/**
+ * ClickHouse exception codes the ORM looks at
+ */
+const CODES = {
+  UNEXPECTED_END_OF_FILE: 3,
+  TABLE_ALREADY_EXISTS: 57,
+  UNKNOWN_TABLE: 60,
+  TIMEOUT_EXCEEDED: 159,
+  TOO_SLOW: 160,
+  UNKNOWN_USER: 192,
+  WRONG_PASSWORD: 193,
+  REQUIRED_PASSWORD: 194,
+  TOO_MANY_SIMULTANEOUS_QUERIES: 202,
+  NO_FREE_CONNECTION: 203,
+  SOCKET_TIMEOUT: 209,
+  NETWORK_ERROR: 210,
+  MEMORY_LIMIT_EXCEEDED: 241,
+  TABLE_IS_READ_ONLY: 242,
+  TOO_MANY_PARTS: 252,
+  TOO_FEW_LIVE_REPLICAS: 285,
+  UNKNOWN_STATUS_OF_INSERT: 319,
+  QUERY_WAS_CANCELLED: 394,
+  SYSTEM_ERROR: 425,
+  AUTHENTICATION_FAILED: 516,
+  KEEPER_EXCEPTION: 999
+};
+
+// Server-side failures that may succeed when the statement is run again
+const RETRYABLE_CODES = new Set([
+  CODES.UNEXPECTED_END_OF_FILE,
+  CODES.TIMEOUT_EXCEEDED,
+  CODES.TOO_SLOW,
+  CODES.TOO_MANY_SIMULTANEOUS_QUERIES,
+  CODES.NO_FREE_CONNECTION,
+  CODES.SOCKET_TIMEOUT,
+  CODES.NETWORK_ERROR,
+  CODES.MEMORY_LIMIT_EXCEEDED,
+  CODES.TABLE_IS_READ_ONLY,
+  CODES.TOO_MANY_PARTS,
+  CODES.TOO_FEW_LIVE_REPLICAS,
+  CODES.UNKNOWN_STATUS_OF_INSERT,
+  CODES.SYSTEM_ERROR,
+  CODES.KEEPER_EXCEPTION
+]);
+
+const TIMEOUT_CODES = new Set([CODES.TIMEOUT_EXCEEDED, CODES.SOCKET_TIMEOUT]);
+
+const AUTHENTICATION_CODES = new Set([
+  CODES.UNKNOWN_USER,
+  CODES.WRONG_PASSWORD,
+  CODES.REQUIRED_PASSWORD,
+  CODES.AUTHENTICATION_FAILED
+]);
+
+// Socket errors worth retrying; anything else from the network layer is fatal
+const RETRYABLE_NETWORK_CODES = new Set([
+  'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENOTFOUND'
+]);
+
+/**
+ * Base class of every error raised by the ORM
+ *
+ * `cause` is the underlying error, when there is one. `retryable` tells
+ * whether running the same statement again may succeed.
+ */
+class ORMError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.retryable = Boolean(details.retryable);
+
+    if (details.cause) {
+      this.cause = details.cause;
+    }
+  }
+
+  /**
+   * Fields to carry over when the error is wrapped with more context
+   */
+  getDetails() {
+    return { retryable: this.retryable };
+  }
+}
+
+/**
+ * The server could not be reached or refused the credentials
+ */
+class ConnectionError extends ORMError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.code = details.code;
+  }
+
+  getDetails() {
+    return { ...super.getDetails(), code: this.code };
+  }
+}
+
+/**
+ * ClickHouse rejected or failed a statement
+ *
+ * `code` is the numeric ClickHouse exception code and `type` its name,
+ * e.g. `60` / `UNKNOWN_TABLE`.
+ */
+class QueryError extends ORMError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.code = details.code;
+    this.type = details.type;
+    this.sql = details.sql;
+    this.queryId = details.queryId;
+  }
+
+  getDetails() {
+    return { ...super.getDetails(), code: this.code, type: this.type, sql: this.sql, queryId: this.queryId };
+  }
+}
+
+/**
+ * A statement ran out of time, on the client (`timeoutMs`, `request_timeout`)
+ * or on the server (`max_execution_time`)
+ */
+class TimeoutError extends QueryError {
+  constructor(message, details = {}) {
+    super(message, { retryable: true, ...details });
+    this.timeoutMs = details.timeoutMs;
+  }
+
+  getDetails() {
+    return { ...super.getDetails(), timeoutMs: this.timeoutMs };
+  }
+}
+
+/**
+ * A model, view or dictionary definition is invalid, or DDL failed
+ *
+ * When the server rejected the DDL, `code`, `type`, `sql` and `queryId` are
+ * those of the ClickHouse exception; definition errors leave them unset.
+ */
+class SchemaError extends ORMError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.code = details.code;
+    this.type = details.type;
+    this.sql = details.sql;
+    this.queryId = details.queryId;
+  }
+
+  getDetails() {
+    return { ...super.getDetails(), code: this.code, type: this.type, sql: this.sql, queryId: this.queryId };
+  }
+}
+
+/**
+ * Raised when rows fail attribute validation before insert
+ *
+ * `errors` lists every problem as `{ row, field, value, message }`,
+ * where `row` is the index of the row in the inserted batch.
+ */
+class ValidationError extends ORMError {
+  constructor(modelName, errors) {
+    const summary = errors
+      .slice(0, 5)
+      .map(error => `row ${error.row}, ${error.field}: ${error.message}`)
+      .join('; ');
+    const more = errors.length > 5 ? ` (and ${errors.length - 5} more)` : '';
+
+    super(`Validation failed for ${modelName}: ${summary}${more}`);
+    this.model = modelName;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Turn an error from the client (or a lower ORM layer) into an ORM error
+ * whose message starts with `message`
+ *
+ * ClickHouse exceptions become QueryErrors (or `as`, e.g. SchemaError),
+ * TimeoutErrors or, for authentication failures, ConnectionErrors; socket
+ * errors become ConnectionErrors. `details` adds fields such as `sql`.
+ */
+function wrapError(error, message, options = {}) {
+  if (error instanceof ValidationError) {
+    return error;
+  }
+
+  const text = `${message}: ${error.message}`;
+  const details = { ...options.details, cause: error };
+  let ErrorClass;
+
+  if (error instanceof ORMError) {
+    Object.assign(details, withoutUndefined(error.getDetails()));
+    ErrorClass = error.constructor;
+  } else if (/^\d+$/.test(String(error.code || ''))) {
+    const code = Number(error.code);
+    Object.assign(details, { code, type: error.type, retryable: RETRYABLE_CODES.has(code) });
+    ErrorClass = TIMEOUT_CODES.has(code) ? TimeoutError
+      : AUTHENTICATION_CODES.has(code) ? ConnectionError
+        : QueryError;
+  } else if (typeof error.code === 'string') {
+    Object.assign(details, { code: error.code, retryable: RETRYABLE_NETWORK_CODES.has(error.code) });
+    ErrorClass = error.code === 'ETIMEDOUT' ? TimeoutError : ConnectionError;
+  } else if (/timeout/i.test(error.message)) {
+    ErrorClass = TimeoutError;
+  } else if (/socket hang up/i.test(error.message)) {
+    Object.assign(details, { retryable: true });
+    ErrorClass = ConnectionError;
+  } else {
+    ErrorClass = QueryError;
+  }
+
+  if (options.as && ErrorClass === QueryError) {
+    ErrorClass = options.as;
+  }
+
+  return new ErrorClass(text, details);
+}
+
+function withoutUndefined(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+}
+
+module.exports = {
+  CODES,
+  ORMError,
+  ConnectionError,
+  QueryError,
+  TimeoutError,
+  SchemaError,
+  ValidationError,
+  wrapError
+};
\ No newline at end of file
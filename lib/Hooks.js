@@ -0,0 +1,108 @@
+/**
+ * Ordered, awaited lifecycle hooks
+ *
+ * Each hook receives the subject (options, values, rows or a query context)
+ * and may either mutate it or return a replacement; the result is handed to
+ * the next hook and finally back to the caller.
+ */
+class Hooks {
+  constructor(names, hooks = {}) {
+    this.names = names;
+    this.hooks = new Map(names.map(name => [name, []]));
+
+    for (const [name, fns] of Object.entries(hooks)) {
+      for (const fn of Array.isArray(fns) ? fns : [fns]) {
+        this.add(name, fn);
+      }
+    }
+  }
+
+  /**
+   * Register a hook
+   */
+  add(name, fn) {
+    if (!this.hooks.has(name)) {
+      throw new Error(`Unknown hook "${name}", expected one of: ${this.names.join(', ')}`);
+    }
+
+    if (typeof fn !== 'function') {
+      throw new Error(`Hook "${name}" must be a function`);
+    }
+
+    this.hooks.get(name).push(fn);
+    return this;
+  }
+
+  /**
+   * Remove a hook, or every hook of that name
+   */
+  remove(name, fn) {
+    if (!this.hooks.has(name)) {
+      return this;
+    }
+
+    this.hooks.set(name, fn ? this.hooks.get(name).filter(hook => hook !== fn) : []);
+    return this;
+  }
+
+  /**
+   * Whether any hook is registered under a name
+   */
+  has(name) {
+    return this.hooks.has(name) && this.hooks.get(name).length > 0;
+  }
+
+  /**
+   * Run the hooks of a name in order and return the (possibly replaced) subject
+   */
+  async run(name, subject, ...args) {
+    for (const fn of this.hooks.get(name) || []) {
+      const result = await fn(subject, ...args);
+      if (result !== undefined) {
+        subject = result;
+      }
+    }
+
+    return subject;
+  }
+
+  /**
+   * Run `beforeQuery`, the call itself and `afterQuery` around a query context
+   *
+   * `afterQuery` receives the context with `result` and `durationMs`, or
+   * with `error` when the call failed (the error is rethrown afterwards).
+   */
+  async wrap(context, execute) {
+    const prepared = await this.run('beforeQuery', context);
+    const startedAt = Date.now();
+    let result;
+
+    try {
+      result = await execute(prepared);
+    } catch (error) {
+      await this.run('afterQuery', { ...prepared, error, durationMs: Date.now() - startedAt });
+      throw error;
+    }
+
+    await this.run('afterQuery', { ...prepared, result, durationMs: Date.now() - startedAt });
+    return result;
+  }
+}
+
+Hooks.MODEL_HOOKS = [
+  'beforeCreate',
+  'afterCreate',
+  'beforeBulkCreate',
+  'afterBulkCreate',
+  'beforeFind',
+  'afterFind',
+  'beforeQuery',
+  'afterQuery'
+];
+
+Hooks.GLOBAL_HOOKS = [
+  'beforeQuery',
+  'afterQuery'
+];
+
+module.exports = Hooks;
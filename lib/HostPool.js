@@ -0,0 +1,80 @@
+/**
+ * Group of interchangeable ClickHouse hosts
+ *
+ * Hosts are `{ name, config, client }` objects shared between pools, so a
+ * host marked down for writes is skipped for reads too. `strategy` is
+ * `round_robin` (default) or `least_latency`, which prefers the host with
+ * the lowest health-check latency. A host that fails with a network error is
+ * skipped for `cooldown` ms, or until a health check succeeds.
+ */
+class HostPool {
+  constructor(hosts, options = {}) {
+    this.hosts = hosts;
+    this.strategy = options.strategy || 'round_robin';
+    this.cooldown = options.cooldown !== undefined ? options.cooldown : 30000;
+    this.cursor = 0;
+  }
+
+  /**
+   * Pick a host, avoiding hosts in `exclude` and hosts that are down
+   *
+   * When every host is excluded or down, falls back to the untried ones and
+   * then to any host, so a recovered host is found without a health check.
+   */
+  pick(exclude = new Set()) {
+    const now = Date.now();
+    const untried = this.hosts.filter(host => !exclude.has(host));
+    const up = untried.filter(host => !host.downUntil || host.downUntil <= now);
+    const candidates = up.length > 0 ? up : (untried.length > 0 ? untried : this.hosts);
+
+    if (this.strategy === 'least_latency') {
+      return candidates.reduce((best, host) => latency(host) < latency(best) ? host : best);
+    }
+
+    return candidates[this.cursor++ % candidates.length];
+  }
+
+  /**
+   * The first host in listed order that is up and not in `exclude`
+   *
+   * Used for requests that must keep landing on the same server, such as
+   * DDL and mutations; it only changes when that host fails.
+   */
+  primary(exclude = new Set()) {
+    const now = Date.now();
+    const untried = this.hosts.filter(host => !exclude.has(host));
+    const up = untried.filter(host => !host.downUntil || host.downUntil <= now);
+
+    return up[0] || untried[0] || this.hosts[0];
+  }
+
+  /**
+   * Skip a host until its cooldown passes
+   */
+  markDown(host, error) {
+    host.downUntil = Date.now() + this.cooldown;
+    host.lastError = error;
+  }
+
+  /**
+   * Put a host back in rotation, recording a health-check latency if given
+   */
+  markUp(host, latencyMs) {
+    host.downUntil = 0;
+    host.lastError = null;
+
+    if (latencyMs !== undefined) {
+      // Smooth out single slow checks
+      host.latencyMs = host.latencyMs === undefined ? latencyMs : host.latencyMs * 0.7 + latencyMs * 0.3;
+    }
+  }
+}
+
+/**
+ * Latency used for ordering; unmeasured hosts come last
+ */
+function latency(host) {
+  return host.latencyMs === undefined ? Infinity : host.latencyMs;
+}
+
+module.exports = HostPool;
\ No newline at end of file
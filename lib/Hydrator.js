@@ -0,0 +1,227 @@
+const { parseType } = require('./TypeParser');
+
+/**
+ * Converts ClickHouse JSON result values into JavaScript types
+ *
+ * Options:
+ * - `int64`: how 64-bit and wider integers are returned, `'string'` (default),
+ *   `'bigint'` or `'number'` (lossy above 2^53)
+ * - `decimal`: `'string'` (default), `'number'`, or a function receiving the
+ *   decimal string, e.g. `(value) => new Decimal(value)`
+ * - `dates`: set to `false` to keep Date/DateTime columns as strings
+ */
+class Hydrator {
+  constructor(options = {}) {
+    this.options = {
+      int64: 'string',
+      decimal: 'string',
+      dates: true,
+      ...options
+    };
+  }
+
+  /**
+   * Convert every column of a row using a name -> type map
+   */
+  hydrateRow(row, types) {
+    const values = {};
+
+    for (const [key, value] of Object.entries(row)) {
+      const type = types.get(key);
+      values[key] = type ? this.hydrateValue(type, value) : value;
+    }
+
+    return values;
+  }
+
+  /**
+   * Convert a single value of the given ClickHouse type (a string or parsed type)
+   */
+  hydrateValue(type, value) {
+    if (value === null || value === undefined) {
+      return value;
+    }
+
+    let node;
+
+    try {
+      node = parseType(type);
+    } catch (error) {
+      // Leave values of types the parser does not understand untouched
+      return value;
+    }
+
+    const { name, args } = node;
+
+    switch (name) {
+      case 'Nullable':
+      case 'LowCardinality':
+        return this.hydrateValue(args[0], value);
+      case 'SimpleAggregateFunction':
+        return this.hydrateValue(args[1], value);
+      case 'Array':
+        return Array.isArray(value) ? value.map(element => this.hydrateValue(args[0], element)) : value;
+      case 'Nested':
+        return Array.isArray(value) ? value.map(element => this.hydrateTuple(args, element)) : value;
+      case 'Tuple':
+        return this.hydrateTuple(args, value);
+      case 'Map':
+        return this.hydrateMap(args[1], value);
+      case 'Bool':
+        return value === true || value === 1 || value === 'true';
+      case 'Date':
+      case 'Date32':
+        return this.options.dates ? this.hydrateDate(value) : value;
+      case 'DateTime':
+        return this.options.dates ? this.hydrateDate(value, args[0]) : value;
+      case 'DateTime64':
+        return this.options.dates ? this.hydrateDate(value, args[1]) : value;
+      default:
+        break;
+    }
+
+    if (/^U?Int(64|128|256)$/.test(name)) {
+      return this.hydrateBigInt(value);
+    }
+
+    if (/^(U?Int(8|16|32)|Float(32|64))$/.test(name)) {
+      return typeof value === 'string' ? Number(value) : value;
+    }
+
+    if (/^Decimal/.test(name)) {
+      return this.hydrateDecimal(value);
+    }
+
+    return value;
+  }
+
+  /**
+   * Convert a Tuple, returned as an array or, for named tuples, an object
+   */
+  hydrateTuple(elements, value) {
+    if (Array.isArray(value)) {
+      return value.map((element, index) => elements[index] ? this.hydrateValue(elements[index], element) : element);
+    }
+
+    if (typeof value !== 'object') {
+      return value;
+    }
+
+    const result = {};
+    for (const [key, element] of Object.entries(value)) {
+      const definition = elements.find(candidate => candidate.field === key);
+      result[key] = definition ? this.hydrateValue(definition, element) : element;
+    }
+    return result;
+  }
+
+  /**
+   * Convert the values of a Map, returned as an object keyed by string
+   */
+  hydrateMap(valueType, value) {
+    if (typeof value !== 'object') {
+      return value;
+    }
+
+    const result = {};
+    for (const [key, element] of Object.entries(value)) {
+      result[key] = this.hydrateValue(valueType, element);
+    }
+    return result;
+  }
+
+  /**
+   * Convert a 64-bit or wider integer
+   */
+  hydrateBigInt(value) {
+    switch (this.options.int64) {
+      case 'bigint':
+        return BigInt(value);
+      case 'number':
+        return Number(value);
+      default:
+        return String(value);
+    }
+  }
+
+  /**
+   * Convert a Decimal value
+   */
+  hydrateDecimal(value) {
+    const { decimal } = this.options;
+
+    if (typeof decimal === 'function') {
+      return decimal(String(value));
+    }
+
+    return decimal === 'number' ? Number(value) : String(value);
+  }
+
+  /**
+   * Convert a Date/DateTime string
+   *
+   * Models request UTC ISO strings (`date_time_output_format: 'iso'`).
+   * Wall-clock values, as returned by default, are read in the column's
+   * timezone, or as UTC for columns without one.
+   */
+  hydrateDate(value, timeZone = 'UTC') {
+    if (typeof value === 'number') {
+      return new Date(value * 1000);
+    }
+
+    if (typeof value !== 'string') {
+      return value;
+    }
+
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      return new Date(`${value}T00:00:00Z`);
+    }
+
+    if (/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}(\.\d+)?$/.test(value)) {
+      const date = new Date(`${value.replace(' ', 'T')}Z`);
+      return timeZone === 'UTC' ? date : fromTimeZone(date, timeZone);
+    }
+
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? value : date;
+  }
+}
+
+const formatters = new Map();
+
+/**
+ * Offset of a timezone from UTC at an instant, in ms
+ */
+function timeZoneOffset(date, timeZone) {
+  let formatter = formatters.get(timeZone);
+
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    });
+    formatters.set(timeZone, formatter);
+  }
+
+  const parts = Object.fromEntries(formatter.formatToParts(date).map(part => [part.type, Number(part.value)]));
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+
+  return wallClock - (date.getTime() - date.getUTCMilliseconds());
+}
+
+/**
+ * Read a wall-clock time (given as if it were UTC) in a timezone
+ */
+function fromTimeZone(wallClock, timeZone) {
+  const guess = wallClock.getTime() - timeZoneOffset(wallClock, timeZone);
+  // Around DST changes the offset at the result can differ from the first guess
+  return new Date(wallClock.getTime() - timeZoneOffset(new Date(guess), timeZone));
+}
+
+module.exports = Hydrator;
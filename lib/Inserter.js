@@ -0,0 +1,240 @@
+const { EventEmitter } = require('events');
+const { randomUUID } = require('crypto');
+const { QueryError, TimeoutError } = require('./Errors');
+
+/**
+ * Buffered batch inserter for high-frequency ingestion
+ *
+ * Rows are collected in memory and written through `Connection.insert`
+ * when `maxRows` or `maxBytes` is reached, or `flushIntervalMs` after the
+ * first buffered row. Failed batches are retried with exponential backoff
+ * when the error is marked `retryable` and sending the batch again cannot
+ * duplicate rows: the server rejected it, it never reached a server, or it
+ * carries an `insert_deduplication_token` (set per batch with
+ * `deduplicate: true`). These retries wait out longer outages than the
+ * connection's own retry policy, which still runs inside every attempt.
+ *
+ * Events:
+ * - `flushed` ({ rows, count, bytes, attempts, durationMs })
+ * - `failed` ({ rows, count, bytes, attempts, error })
+ */
+class Inserter extends EventEmitter {
+  constructor(model, options = {}) {
+    super();
+    this.model = model;
+    this.connection = model.connection;
+    this.options = {
+      maxRows: 10000,
+      maxBytes: 16 * 1024 * 1024,
+      flushIntervalMs: 1000,
+      retries: 3,
+      retryDelayMs: 200,
+      maxRetryDelayMs: 10000,
+      deduplicate: false,
+      isRetryable: null,
+      ...options
+    };
+
+    this.rows = [];
+    this.bytes = 0;
+    this.timer = null;
+    this.pending = Promise.resolve();
+    this.lastError = null;
+    this.closed = false;
+  }
+
+  /**
+   * Buffer one row or an array of rows
+   *
+   * Rows go through the model's beforeBulkCreate hooks and are validated
+   * against the model first (disable validation with `validate: false`).
+   */
+  async insert(rows) {
+    if (this.closed) {
+      throw new Error(`Inserter for ${this.model.name} is closed`);
+    }
+
+    const list = (Array.isArray(rows) ? rows : [rows]).map(row => ({ ...row }));
+    const prepared = await this.model.hooks.run('beforeBulkCreate', list, this.options);
+    const validated = this.model.validateRows(prepared, this.options);
+
+    for (const row of validated) {
+      this.rows.push(row);
+      this.bytes += estimateBytes(row);
+    }
+
+    if (this.rows.length >= this.options.maxRows || this.bytes >= this.options.maxBytes) {
+      return this.flush();
+    }
+
+    this.scheduleFlush();
+  }
+
+  /**
+   * Write all buffered rows now
+   *
+   * Flushes run one after another, so batches reach ClickHouse in order.
+   * Rejects with the error of this batch or, once, with that of an earlier
+   * interval flush that no caller has seen yet.
+   */
+  async flush() {
+    this.clearTimer();
+    await this.writeBuffer(false);
+
+    const error = this.lastError;
+    if (error) {
+      this.lastError = null;
+      throw error;
+    }
+  }
+
+  /**
+   * Queue the buffered rows behind earlier batches
+   *
+   * The queue itself never rejects; a failed `background` (interval) batch
+   * keeps its error for the next flush.
+   */
+  writeBuffer(background) {
+    if (this.rows.length === 0) {
+      return this.pending;
+    }
+
+    const rows = this.rows;
+    const bytes = this.bytes;
+    this.rows = [];
+    this.bytes = 0;
+
+    const run = this.pending.then(() => this.writeBatch(rows, bytes));
+    this.pending = run.catch((error) => {
+      if (background) {
+        this.lastError = error;
+      }
+    });
+    return run;
+  }
+
+  /**
+   * Flush remaining rows and stop accepting new ones
+   */
+  async close() {
+    this.closed = true;
+    await this.flush();
+  }
+
+  /**
+   * Insert a batch, retrying transient failures with backoff
+   */
+  async writeBatch(rows, bytes) {
+    const { retries, retryDelayMs, maxRetryDelayMs } = this.options;
+    // Created once, so every attempt of the batch shares its token
+    const insertOptions = this.getInsertOptions();
+    const startedAt = Date.now();
+    let attempts = 0;
+
+    for (;;) {
+      attempts++;
+
+      try {
+        await this.connection.insert(this.model.getInsertTable(), rows, insertOptions);
+        this.emit('flushed', {
+          rows,
+          count: rows.length,
+          bytes,
+          attempts,
+          durationMs: Date.now() - startedAt
+        });
+        return;
+      } catch (error) {
+        if (attempts > retries || !this.canRetry(error, insertOptions)) {
+          this.emit('failed', { rows, count: rows.length, bytes, attempts, error });
+          throw error;
+        }
+
+        const delay = Math.min(retryDelayMs * 2 ** (attempts - 1), maxRetryDelayMs);
+        await sleep(delay + Math.random() * delay * 0.2);
+      }
+    }
+  }
+
+  /**
+   * Insert options of one batch, with a fresh deduplication token when
+   * `deduplicate` is set
+   */
+  getInsertOptions() {
+    const options = this.options.insertOptions || {};
+
+    if (!this.options.deduplicate) {
+      return options;
+    }
+
+    return {
+      ...options,
+      clickhouse_settings: { ...options.clickhouse_settings, insert_deduplication_token: randomUUID() }
+    };
+  }
+
+  /**
+   * Whether a failed batch can be sent again without duplicating rows
+   *
+   * A custom `isRetryable(error)` option replaces this check.
+   */
+  canRetry(error, insertOptions) {
+    if (this.options.isRetryable) {
+      return Boolean(this.options.isRetryable(error));
+    }
+
+    if (!error || !error.retryable) {
+      return false;
+    }
+
+    // The server answered with an error, so the batch was not written
+    const rejected = error instanceof QueryError && !(error instanceof TimeoutError) && typeof error.code === 'number';
+    const policy = this.connection.retryPolicy;
+
+    return rejected || policy.isUnsent(error) || policy.isIdempotent('insert', insertOptions);
+  }
+
+  /**
+   * Start the interval timer for the current buffer
+   */
+  scheduleFlush() {
+    if (this.timer || !this.options.flushIntervalMs) {
+      return;
+    }
+
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      // Failures are reported through the `failed` event and the next flush
+      this.writeBuffer(true).catch(() => {});
+    }, this.options.flushIntervalMs);
+
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * Cancel a pending interval flush
+   */
+  clearTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+/**
+ * Rough serialized size of a row
+ */
+function estimateBytes(row) {
+  return Buffer.byteLength(JSON.stringify(row, (key, value) =>
+    typeof value === 'bigint' ? value.toString() : value
+  ));
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = Inserter;
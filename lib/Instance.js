@@ -0,0 +1,68 @@
+/**
+ * Base class for model instances returned by queries
+ *
+ * Each model gets its own subclass (`model.Instance`), so association
+ * methods installed on `model.prototype` are available on every row.
+ */
+class Instance {
+  constructor(values = {}) {
+    Object.assign(this, values);
+  }
+
+  /**
+   * Get a single attribute, or a plain copy of all attributes
+   */
+  get(key) {
+    if (typeof key === 'string') {
+      return this[key];
+    }
+
+    return this.toJSON();
+  }
+
+  /**
+   * Set one attribute or several at once
+   */
+  set(key, value) {
+    if (typeof key === 'object' && key !== null) {
+      Object.assign(this, key);
+    } else {
+      this[key] = value;
+    }
+    return this;
+  }
+
+  /**
+   * Plain object representation, safe for JSON.stringify
+   */
+  toJSON() {
+    const values = {};
+
+    for (const [key, value] of Object.entries(this)) {
+      values[key] = toPlain(value);
+    }
+
+    return values;
+  }
+}
+
+/**
+ * Convert values JSON.stringify cannot handle (BigInt, nested instances)
+ */
+function toPlain(value) {
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(toPlain);
+  }
+
+  if (value instanceof Instance) {
+    return value.toJSON();
+  }
+
+  return value;
+}
+
+module.exports = Instance;
@@ -0,0 +1,160 @@
+const QueryBuilder = require('./QueryBuilder');
+const { SchemaError } = require('./Errors');
+
+/**
+ * Materialized view definition
+ *
+ * `from` and `to` are models, other views or raw table names. Without `to`
+ * the view stores rows in its own inner table, described by `engine`,
+ * `orderBy` and `columns`.
+ */
+class MaterializedView {
+  constructor(name, options = {}) {
+    if (!options.from) {
+      throw new SchemaError(`Materialized view ${name} requires a source (from)`);
+    }
+
+    if (!options.query) {
+      throw new SchemaError(`Materialized view ${name} requires a query`);
+    }
+
+    this.name = name;
+    this.from = options.from;
+    this.to = options.to || null;
+    this.query = options.query;
+    this.options = options;
+
+    // Keep a copy, so the caller's builder is neither changed nor able to change the view
+    if (this.query instanceof QueryBuilder) {
+      this.query = this.query.clone();
+
+      if (!this.query.query.from) {
+        this.query.from(this.getSource());
+      }
+    }
+  }
+
+  /**
+   * Table the view reads inserted blocks from
+   */
+  getSource() {
+    return MaterializedView.tableName(this.from);
+  }
+
+  /**
+   * Table the view writes to, or null when it has an inner table
+   */
+  getTarget() {
+    return this.to ? MaterializedView.tableName(this.to) : null;
+  }
+
+  /**
+   * SELECT statement of the view, with parameters inlined
+   */
+  getSelectSQL() {
+    return this.query instanceof QueryBuilder ? this.query.toInlineSQL() : this.query;
+  }
+
+  /**
+   * SELECT of the backfill: the view's query, limited to source rows whose
+   * `column` is before `cutoff` (unix milliseconds) when a column is given
+   */
+  getBackfillSQL(column, cutoff) {
+    if (!column) {
+      return this.getSelectSQL();
+    }
+
+    if (!(this.query instanceof QueryBuilder)) {
+      throw new SchemaError(`Materialized view ${this.name} needs a QueryBuilder query to bound its backfill by ${column}`);
+    }
+
+    return this.query.clone().where(`${column} < fromUnixTimestamp64Milli(${Number(cutoff)})`).toInlineSQL();
+  }
+
+  /**
+   * Columns produced by the view's SELECT, when they can be read off it
+   *
+   * Taken from the `columns` option, or from the builder's select list
+   * (aliases or bare column names). Returns null when unknown.
+   */
+  getColumns() {
+    if (this.options.columns) {
+      return Array.isArray(this.options.columns) ? this.options.columns : Object.keys(this.options.columns);
+    }
+
+    if (!(this.query instanceof QueryBuilder)) {
+      return null;
+    }
+
+    const columns = this.query.query.select.map(expression => {
+      const alias = String(expression).match(/\s+AS\s+(\w+)\s*$/i);
+
+      if (alias) {
+        return alias[1];
+      }
+
+      return /^\w+$/.test(expression) ? expression : null;
+    });
+
+    return columns.includes(null) ? null : columns;
+  }
+
+  /**
+   * Views this one reads from or writes to, looking up raw names in `views`
+   */
+  getDependencies(views = new Map()) {
+    return [this.from, this.to]
+      .map(dependency => typeof dependency === 'string' ? views.get(dependency) : dependency)
+      .filter(dependency => dependency instanceof MaterializedView);
+  }
+
+  /**
+   * Table name of a model, view or raw name
+   *
+   * Distributed models resolve to their local table, so views run on each
+   * shard against the rows stored there.
+   */
+  static tableName(value) {
+    if (typeof value === 'string') {
+      return value;
+    }
+
+    return value instanceof MaterializedView ? value.name : value.getStorageTable();
+  }
+
+  /**
+   * Order views so that each comes after the views it depends on
+   */
+  static sort(views) {
+    const byName = new Map(Array.from(views, view => [view.name, view]));
+    const sorted = [];
+    const visiting = new Set();
+
+    const visit = (view) => {
+      if (sorted.includes(view)) {
+        return;
+      }
+
+      if (visiting.has(view)) {
+        throw new SchemaError(`Circular dependency between materialized views at ${view.name}`);
+      }
+
+      visiting.add(view);
+
+      for (const dependency of view.getDependencies(byName)) {
+        visit(dependency);
+      }
+
+      visiting.delete(view);
+      sorted.push(view);
+    };
+
+    for (const view of byName.values()) {
+      visit(view);
+    }
+
+    return sorted;
+  }
+}
+
+module.exports = MaterializedView;
\ No newline at end of file
@@ -0,0 +1,357 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Engines = require('./Engines');
+const Schema = require('./Schema');
+
+/**
+ * Versioned schema migrations
+ *
+ * Migrations are modules in `directory` named `<timestamp>_<name>.js`
+ * that export `up(schema, orm)` and `down(schema, orm)`. Applied state is
+ * kept in a ReplacingMergeTree table; a lock table keeps two processes
+ * from migrating at the same time. Both tables are read and written on the
+ * primary writer only, so the lock row and its check always meet.
+ */
+class Migrator {
+  constructor(orm, options = {}) {
+    this.orm = orm;
+    this.connection = orm.connection;
+    this.schema = new Schema(orm.connection, { cluster: orm.cluster });
+    this.options = {
+      directory: path.resolve(process.cwd(), 'migrations'),
+      tableName: '_orm_migrations',
+      lockTableName: '_orm_migrations_lock',
+      lockTimeoutMs: 15 * 60 * 1000,
+      lockSettleMs: 200,
+      ...options
+    };
+    this.owner = crypto.randomUUID();
+    this.lockError = null;
+  }
+
+  /**
+   * Apply all pending migrations (or up to and including `to`) as one batch
+   */
+  async migrate(options = {}) {
+    await this.ensureTables();
+
+    return this.withLock(async () => {
+      const applied = await this.getApplied();
+      const appliedNames = new Set(applied.map(row => row.name));
+      const batch = applied.reduce((max, row) => Math.max(max, row.batch), 0) + 1;
+      const pending = this.getMigrationNames().filter(name => !appliedNames.has(name));
+
+      if (options.to && !pending.includes(options.to)) {
+        throw new Error(`Migration ${options.to} is not pending`);
+      }
+
+      const executed = [];
+      for (const name of pending) {
+        this.checkLock();
+        await this.load(name).up(this.schema, this.orm);
+        await this.record(name, batch, true);
+        executed.push(name);
+
+        if (name === options.to) {
+          break;
+        }
+      }
+
+      return executed;
+    });
+  }
+
+  /**
+   * Revert the last `step` batches (default 1), or every batch with `all`
+   */
+  async rollback(options = {}) {
+    await this.ensureTables();
+
+    return this.withLock(async () => {
+      const applied = await this.getApplied();
+      const batches = [...new Set(applied.map(row => row.batch))].sort((a, b) => b - a);
+      const selected = new Set(options.all ? batches : batches.slice(0, options.step || 1));
+
+      const targets = applied
+        .filter(row => selected.has(row.batch))
+        .map(row => row.name)
+        .sort()
+        .reverse();
+
+      const reverted = [];
+      for (const name of targets) {
+        this.checkLock();
+        await this.load(name).down(this.schema, this.orm);
+        await this.record(name, 0, false);
+        reverted.push(name);
+      }
+
+      return reverted;
+    });
+  }
+
+  /**
+   * List migrations with their applied state
+   */
+  async status() {
+    await this.ensureTables();
+
+    const applied = new Map((await this.getApplied()).map(row => [row.name, row]));
+    const files = new Set(this.getMigrationNames());
+    const names = new Set([...files, ...applied.keys()]);
+
+    return [...names].sort().map(name => {
+      const row = applied.get(name);
+      return {
+        name,
+        applied: Boolean(row),
+        batch: row ? row.batch : null,
+        appliedAt: row ? new Date(`${row.applied_at.replace(' ', 'T')}Z`) : null,
+        missing: !files.has(name)
+      };
+    });
+  }
+
+  /**
+   * Write a new, empty migration file and return its path
+   */
+  create(name) {
+    const slug = String(name).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+    if (!slug) {
+      throw new Error('Migration name is required');
+    }
+
+    const timestamp = new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14);
+    const file = path.join(this.options.directory, `${timestamp}_${slug}.js`);
+
+    fs.mkdirSync(this.options.directory, { recursive: true });
+    fs.writeFileSync(file, MIGRATION_TEMPLATE);
+    return file;
+  }
+
+  /**
+   * Create the migrations and lock tables if needed
+   *
+   * With a cluster they are created ON CLUSTER with replicated engines, so
+   * every replica of the primary writer sees the same state.
+   */
+  async ensureTables() {
+    const cluster = this.schema.cluster;
+    const engine = (inner) => cluster ? Engines.Replicated(inner) : inner;
+
+    await this.connection.command(`
+      CREATE TABLE IF NOT EXISTS ${this.options.tableName}${onCluster(cluster)} (
+        name String,
+        batch UInt32,
+        applied UInt8,
+        version UInt64,
+        applied_at DateTime64(3, 'UTC')
+      ) ENGINE = ${engine(Engines.ReplacingMergeTree({ version: 'version' }))}
+      ORDER BY name
+    `);
+
+    await this.connection.command(`
+      CREATE TABLE IF NOT EXISTS ${this.options.lockTableName}${onCluster(cluster)} (
+        owner String,
+        acquired_at DateTime64(3, 'UTC'),
+        expires_at DateTime64(3, 'UTC')
+      ) ENGINE = ${engine(Engines.MergeTree())}
+      ORDER BY acquired_at
+    `);
+  }
+
+  /**
+   * Migrations currently applied, oldest first
+   */
+  async getApplied() {
+    const result = await this.connection.query(`
+      SELECT name, batch, applied_at
+      FROM ${this.options.tableName} FINAL
+      WHERE applied = 1
+      ORDER BY name
+    `, { route: 'primary' });
+
+    return (result.data || []).map(row => ({ ...row, batch: Number(row.batch) }));
+  }
+
+  /**
+   * Migration names found on disk, in order
+   */
+  getMigrationNames() {
+    if (!fs.existsSync(this.options.directory)) {
+      return [];
+    }
+
+    return fs.readdirSync(this.options.directory)
+      .filter(file => /^\d+_.+\.(c?js)$/.test(file))
+      .map(file => file.replace(/\.c?js$/, ''))
+      .sort();
+  }
+
+  /**
+   * Load a migration module by name
+   */
+  load(name) {
+    const base = path.join(this.options.directory, name);
+    const file = fs.existsSync(`${base}.js`) ? `${base}.js` : `${base}.cjs`;
+
+    if (!fs.existsSync(file)) {
+      throw new Error(`Migration file for ${name} not found in ${this.options.directory}`);
+    }
+
+    const migration = require(file);
+    if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+      throw new Error(`Migration ${name} must export up() and down()`);
+    }
+
+    return migration;
+  }
+
+  /**
+   * Store the applied state of a migration
+   */
+  async record(name, batch, applied) {
+    await this.connection.insert(this.options.tableName, {
+      name,
+      batch,
+      applied: applied ? 1 : 0,
+      version: Date.now(),
+      applied_at: formatDateTime(new Date())
+    }, { route: 'primary' });
+  }
+
+  /**
+   * Run a function while holding the migrations lock
+   *
+   * The lock is renewed every third of `lockTimeoutMs`; when a renewal finds
+   * it lost, the next migration step fails instead of running.
+   */
+  async withLock(fn) {
+    await this.acquireLock();
+
+    this.lockError = null;
+    const renewal = setInterval(() => {
+      this.renewLock().catch((error) => {
+        this.lockError = this.lockError || error;
+      });
+    }, Math.max(Math.floor(this.options.lockTimeoutMs / 3), 1));
+    renewal.unref();
+
+    try {
+      const result = await fn();
+      this.checkLock();
+      return result;
+    } finally {
+      clearInterval(renewal);
+      await this.releaseLock();
+    }
+  }
+
+  /**
+   * Take the lock; the oldest unexpired lock row wins
+   *
+   * Timestamps come from the server, so rows are ordered by when they were
+   * written rather than by each deploy host's clock. The winner checks again
+   * after `lockSettleMs`, in case an older row was still on its way.
+   */
+  async acquireLock() {
+    await this.connection.command(`
+      INSERT INTO ${this.options.lockTableName} (owner, acquired_at, expires_at)
+      SELECT {owner:String}, now64(3), now64(3) + toIntervalMillisecond({timeout:UInt64})
+    `, { params: { owner: this.owner, timeout: this.options.lockTimeoutMs } });
+
+    for (const wait of [0, this.options.lockSettleMs]) {
+      await sleep(wait);
+
+      const holder = await this.getLockHolder();
+      if (holder !== this.owner) {
+        await this.releaseLock();
+        throw new Error(`Migrations are locked by another process (${holder})`);
+      }
+    }
+  }
+
+  /**
+   * Extend this process's lock, failing when it has already expired or been taken
+   */
+  async renewLock() {
+    // Only an unexpired row is extended, so an expired lock is never revived
+    await this.connection.command(`
+      INSERT INTO ${this.options.lockTableName} (owner, acquired_at, expires_at)
+      SELECT owner, acquired_at, now64(3) + toIntervalMillisecond({timeout:UInt64})
+      FROM ${this.options.lockTableName}
+      WHERE owner = {owner:String} AND expires_at > now64(3)
+      ORDER BY expires_at DESC
+      LIMIT 1
+    `, { params: { owner: this.owner, timeout: this.options.lockTimeoutMs } });
+
+    const holder = await this.getLockHolder();
+    if (holder !== this.owner) {
+      throw new Error(`Migrations lock expired${holder ? ` and was taken by ${holder}` : ''}`);
+    }
+  }
+
+  /**
+   * Owner of the oldest unexpired lock row
+   */
+  async getLockHolder() {
+    const result = await this.connection.query(`
+      SELECT owner
+      FROM ${this.options.lockTableName}
+      WHERE expires_at > now64(3)
+      ORDER BY acquired_at, owner
+      LIMIT 1
+    `, { route: 'primary' });
+
+    return result.data[0]?.owner;
+  }
+
+  /**
+   * Throw when a renewal found the lock lost
+   */
+  checkLock() {
+    if (this.lockError) {
+      throw this.lockError;
+    }
+  }
+
+  /**
+   * Remove this process's lock row
+   */
+  async releaseLock() {
+    await this.connection.command(
+      `DELETE FROM ${this.options.lockTableName}${onCluster(this.schema.cluster)} WHERE owner = {owner:String}`,
+      { params: { owner: this.owner } }
+    );
+  }
+}
+
+const MIGRATION_TEMPLATE = `module.exports = {
+  async up(schema, orm) {
+  },
+
+  async down(schema, orm) {
+  }
+};
+`;
+
+/**
+ * ON CLUSTER clause, empty without a cluster
+ */
+function onCluster(cluster) {
+  return cluster ? ` ON CLUSTER ${cluster}` : '';
+}
+
+/**
+ * Format a date as a UTC DateTime64(3) string
+ */
+function formatDateTime(date) {
+  return date.toISOString().replace('T', ' ').replace('Z', '');
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = Migrator;
@@ -1,4 +1,12 @@
 const QueryBuilder = require('./QueryBuilder');
+const Instance = require('./Instance');
+const Hydrator = require('./Hydrator');
+const Inserter = require('./Inserter');
+const Engines = require('./Engines');
+const DataTypes = require('./DataTypes');
+const Validator = require('./Validator');
+const Hooks = require('./Hooks');
+const { SchemaError, wrapError } = require('./Errors');
 
 /**
  * Base Model class
@@ -7,30 +15,215 @@ class Model {
   constructor(name, attributes, options = {}) {
     this.name = name;
     this.tableName = options.tableName || name.toLowerCase();
-    this.attributes = attributes;
+    this.attributes = resolveTypes(attributes);
     this.options = options;
     this.connection = options.connection;
     this.orm = options.orm;
     this.associations = new Map();
+    this.validator = new Validator(this);
+    this.hooks = new Hooks(Hooks.MODEL_HOOKS, options.hooks);
+    this.hydrator = new Hydrator({
+      ...(this.orm && this.orm.hydration),
+      ...options.hydration
+    });
+
+    // Per-model instance class; association methods are installed on its prototype
+    this.Instance = class extends Instance {};
+    Object.defineProperty(this.Instance, 'name', { value: name });
+    this.Instance.model = this;
+    this.prototype = this.Instance.prototype;
   }
 
   /**
    * Create new instance
    */
-  static build(values = {}) {
-    const instance = new this();
-    Object.assign(instance, values);
-    return instance;
+  build(values = {}) {
+    return new this.Instance(values);
+  }
+
+  /**
+   * Turn a JSON query result into model instances
+   */
+  hydrate(result, options = {}) {
+    const rows = result.data || [];
+
+    if (options.raw) {
+      return rows;
+    }
+
+    const types = this.getResultTypes(result.meta);
+    return rows.map(row => this.buildFromRow(row, types));
+  }
+
+  /**
+   * Build an instance from a single result row
+   */
+  buildFromRow(row, types = this.getResultTypes()) {
+    return this.build(this.hydrator.hydrateRow(row, types));
+  }
+
+  /**
+   * Map column names to ClickHouse types, from result metadata or the model attributes
+   */
+  getResultTypes(meta) {
+    if (meta && meta.length > 0) {
+      return new Map(meta.map(column => [column.name, column.type]));
+    }
+
+    const types = new Map();
+    for (const [field, definition] of Object.entries(this.attributes)) {
+      types.set(field, typeof definition === 'string' ? definition : definition.type);
+    }
+    return types;
+  }
+
+  /**
+   * Register a lifecycle hook
+   */
+  addHook(name, fn) {
+    this.hooks.add(name, fn);
+    return this;
+  }
+
+  /**
+   * Remove a lifecycle hook, or every hook of that name
+   */
+  removeHook(name, fn) {
+    this.hooks.remove(name, fn);
+    return this;
+  }
+
+  /**
+   * Execute a query built for this model, wrapped in its beforeQuery/afterQuery hooks
+   */
+  async runQuery(query, options = {}) {
+    const context = { type: 'query', model: this, ...query.toSQL() };
+
+    return this.hooks.wrap(context, ({ sql, params }) =>
+      this.connection.query(sql, { ...QueryBuilder.queryOptions(options), params })
+    );
+  }
+
+  /**
+   * Open a streaming query built for this model, wrapped in its beforeQuery/afterQuery hooks
+   *
+   * `afterQuery` runs once the response starts, not when it is fully read.
+   */
+  async openStream(query, options = {}) {
+    const context = { type: 'stream', model: this, ...query.toSQL() };
+
+    return this.hooks.wrap(context, ({ sql, params }) =>
+      this.connection.stream(sql, { ...QueryBuilder.queryOptions(options), params })
+    );
+  }
+
+  /**
+   * Expose a query's `summary`, `totals` and `extremes` on a result array
+   * without making them rows
+   */
+  withSummary(records, result) {
+    for (const section of ['summary', 'totals', 'extremes']) {
+      if (result[section]) {
+        Object.defineProperty(records, section, { value: result[section], configurable: true });
+      }
+    }
+
+    return records;
   }
 
   /**
    * Find all records
+   *
+   * Also takes the per-query options `abortSignal`, `timeoutMs`, `query_id`,
+   * `clickhouse_settings` and `session_id`, and the SELECT options `final`,
+   * `sample`, `limitBy`, `settings` and `extremes`. The returned array
+   * carries the query's `summary` (rows and bytes read, elapsed time) and,
+   * when requested, its `extremes`.
    */
   async findAll(options = {}) {
-    const query = new QueryBuilder(this.connection)
-      .select(options.attributes || '*')
+    const findOptions = await this.hooks.run('beforeFind', { ...options });
+    let records;
+
+    if (findOptions.include && findOptions.include.length > 0) {
+      if (!this.orm) {
+        throw new Error(`Model ${this.name} must be defined through the ORM to use include`);
+      }
+      records = await this.orm.relations.findAllWithIncludes(this, findOptions);
+    } else {
+      records = await this.queryAll(findOptions);
+    }
+
+    return this.hooks.run('afterFind', records, findOptions);
+  }
+
+  /**
+   * Run the find query and hydrate the rows, without find hooks or includes
+   */
+  async queryAll(options = {}) {
+    const query = this.buildFindQuery(options);
+    const result = await this.runQuery(query, this.withDateFormat(options));
+    return this.withSummary(this.hydrate(result, options), result);
+  }
+
+  /**
+   * Ask for DateTime values as UTC ISO strings when rows are hydrated
+   *
+   * Otherwise ClickHouse writes them as wall-clock time in the server's
+   * timezone for columns declared without one, which the client can't know.
+   */
+  withDateFormat(options) {
+    if (options.raw || !this.hydrator.options.dates) {
+      return options;
+    }
+
+    return { ...options, clickhouse_settings: { date_time_output_format: 'iso', ...options.clickhouse_settings } };
+  }
+
+  /**
+   * Stream records as an async iterable of instances
+   *
+   * Accepts the findAll options plus `batchSize` (yield arrays of rows)
+   * and `abortSignal` (stop reading early). Runs the same hooks as findAll;
+   * `afterFind` receives each batch, or each row as a one-element array.
+   */
+  async *findAllStream(options = {}) {
+    const findOptions = await this.hooks.run('beforeFind', { ...options });
+    const query = this.buildFindQuery(findOptions);
+    const rows = query.readStream(() => this.openStream(query, this.withDateFormat(findOptions)), findOptions);
+
+    if (!this.hooks.has('afterFind')) {
+      yield* rows;
+      return;
+    }
+
+    for await (const chunk of rows) {
+      if (findOptions.batchSize) {
+        yield await this.hooks.run('afterFind', chunk, findOptions);
+      } else {
+        yield* await this.hooks.run('afterFind', [chunk], findOptions);
+      }
+    }
+  }
+
+  /**
+   * Build the SELECT query shared by findAll and findAllStream
+   */
+  buildFindQuery(options = {}) {
+    const attributes = options.attributes || '*';
+    const select = options.lookupColumns
+      ? [...(Array.isArray(attributes) ? attributes : [attributes]), ...options.lookupColumns]
+      : attributes;
+
+    const query = new QueryBuilder(this.connection, this)
+      .select(select)
       .from(this.tableName);
 
+    this.applySelectOptions(query, options);
+
+    if (options.prewhere) {
+      query.prewhere(options.prewhere);
+    }
+
     if (options.where) {
       query.where(options.where);
     }
@@ -47,8 +240,7 @@ class Model {
       query.offset(options.offset);
     }
 
-    const result = await query.execute();
-    return result.data || [];
+    return query;
   }
 
   /**
@@ -78,40 +270,344 @@ class Model {
    * Create new record
    */
   async create(values, options = {}) {
+    const prepared = await this.hooks.run('beforeCreate', { ...values }, options);
+    const [row] = this.validateRows([prepared], options);
+    let instance;
+
     try {
-      await this.connection.insert(this.tableName, values, options);
-      return this.constructor.build(values);
+      await this.connection.insert(this.getInsertTable(), row, options);
+      instance = this.build(row);
     } catch (error) {
-      throw new Error(`Failed to create ${this.name}: ${error.message}`);
+      throw wrapError(error, `Failed to create ${this.name}`);
     }
+
+    return this.hooks.run('afterCreate', instance, options);
   }
 
   /**
    * Bulk create records
    */
   async bulkCreate(records, options = {}) {
+    const prepared = await this.hooks.run('beforeBulkCreate', records.map(record => ({ ...record })), options);
+    const rows = this.validateRows(prepared, options);
+    let instances;
+
     try {
-      await this.connection.insert(this.tableName, records, options);
-      return records;
+      await this.connection.insert(this.getInsertTable(), rows, options);
+      instances = rows.map(row => this.build(row));
     } catch (error) {
-      throw new Error(`Failed to bulk create ${this.name}: ${error.message}`);
+      throw wrapError(error, `Failed to bulk create ${this.name}`);
+    }
+
+    return this.hooks.run('afterBulkCreate', instances, options);
+  }
+
+  /**
+   * Validate and coerce rows before insert, unless `validate: false` is passed
+   */
+  validateRows(rows, options = {}) {
+    if (options.validate === false) {
+      return rows;
+    }
+
+    return this.validator.validate(rows);
+  }
+
+  /**
+   * Update matching rows with an ALTER TABLE ... UPDATE mutation
+   *
+   * Mutations run asynchronously; pass `mutationsSync` (true, 1 or 2) to wait.
+   */
+  async update(values, options = {}) {
+    if (!options.where) {
+      throw new Error(`Update on ${this.name} requires where conditions`);
+    }
+
+    const query = new QueryBuilder(this.connection, this)
+      .from(this.getStorageTable())
+      .where(options.where);
+
+    const { sql, params } = query.toUpdateSQL(values, { cluster: this.getCluster() });
+
+    try {
+      return await this.connection.command(sql, {
+        params,
+        clickhouse_settings: this.getMutationSettings(options)
+      });
+    } catch (error) {
+      throw wrapError(error, `Failed to update ${this.name}`);
+    }
+  }
+
+  /**
+   * Delete matching rows
+   *
+   * Uses lightweight `DELETE FROM` unless `deleteMode: 'mutation'` is set on
+   * the model or the call, which issues ALTER TABLE ... DELETE instead.
+   */
+  async destroy(options = {}) {
+    if (!options.where) {
+      throw new Error(`Destroy on ${this.name} requires where conditions`);
+    }
+
+    const deleteMode = options.deleteMode || this.options.deleteMode || 'lightweight';
+    const query = new QueryBuilder(this.connection, this)
+      .from(this.getStorageTable())
+      .where(options.where);
+
+    const { sql, params } = query.toDeleteSQL({ mutation: deleteMode === 'mutation', cluster: this.getCluster() });
+
+    try {
+      return await this.connection.command(sql, {
+        params,
+        clickhouse_settings: this.getMutationSettings(options)
+      });
+    } catch (error) {
+      throw wrapError(error, `Failed to destroy ${this.name}`);
+    }
+  }
+
+  /**
+   * Settings that make a mutation wait for completion
+   */
+  getMutationSettings(options) {
+    const { mutationsSync } = options;
+
+    if (!mutationsSync) {
+      return undefined;
     }
+
+    return { mutations_sync: mutationsSync === true ? 1 : mutationsSync };
+  }
+
+  /**
+   * List mutations of this model's table from system.mutations
+   */
+  async mutations(options = {}) {
+    let sql = `
+      SELECT mutation_id, command, create_time, is_done, parts_to_do,
+        latest_failed_part, latest_fail_time, latest_fail_reason
+      FROM system.mutations
+      WHERE database = currentDatabase() AND table = {table:String}
+    `;
+
+    if (options.pending) {
+      sql += ' AND is_done = 0';
+    }
+
+    sql += ' ORDER BY create_time DESC';
+
+    const result = await this.connection.query(sql, { params: { table: this.getStorageTable() }, route: 'primary' });
+
+    return (result.data || []).map(row => ({
+      ...row,
+      is_done: Boolean(Number(row.is_done)),
+      parts_to_do: Number(row.parts_to_do)
+    }));
+  }
+
+  /**
+   * Kill a stuck mutation by id
+   */
+  async killMutation(mutationId) {
+    const cluster = this.getCluster();
+    const sql = `
+      KILL MUTATION${cluster ? ` ON CLUSTER ${cluster}` : ''}
+      WHERE database = currentDatabase() AND table = {table:String} AND mutation_id = {id:String}
+    `;
+
+    const result = await this.connection.query(sql, {
+      params: { table: this.getStorageTable(), id: mutationId },
+      route: 'primary'
+    });
+
+    return result.data || [];
+  }
+
+  /**
+   * Create a buffered inserter that writes rows in large batches
+   */
+  createInserter(options = {}) {
+    return new Inserter(this, options);
   }
 
   /**
    * Count records
    */
   async count(options = {}) {
-    const query = new QueryBuilder(this.connection)
+    const query = new QueryBuilder(this.connection, this)
       .select('COUNT(*) as count')
       .from(this.tableName);
 
+    this.applySelectOptions(query, options);
+
+    if (options.where) {
+      query.where(options.where);
+    }
+
+    const result = await this.runQuery(query, options);
+    return Number(result.data[0]?.count || 0);
+  }
+
+  /**
+   * Run aggregate metrics, optionally grouped
+   *
+   * Metrics map an alias to `[fn, column]`, e.g. `{ p95: ['quantile(0.95)', 'latency'] }`,
+   * or to a raw SQL expression string. Grouped queries take `rollup`, `cube`
+   * and `totals`; the grand total row is returned as the array's `totals`.
+   */
+  async aggregate(options = {}) {
+    const metrics = options.metrics || {};
+    const groupBy = options.groupBy
+      ? (Array.isArray(options.groupBy) ? options.groupBy : [options.groupBy])
+      : [];
+
+    if (Object.keys(metrics).length === 0) {
+      throw new Error(`At least one metric is required to aggregate ${this.name}`);
+    }
+
+    const select = [...groupBy];
+    for (const [alias, metric] of Object.entries(metrics)) {
+      select.push(`${this.compileMetric(alias, metric)} AS ${alias}`);
+    }
+
+    const query = new QueryBuilder(this.connection, this)
+      .select(select)
+      .from(this.tableName);
+
+    this.applySelectOptions(query, options);
+
     if (options.where) {
       query.where(options.where);
     }
 
-    const result = await query.execute();
-    return result.data[0]?.count || 0;
+    if (groupBy.length > 0) {
+      query.groupBy(groupBy, { rollup: options.rollup, cube: options.cube, totals: options.totals });
+    }
+
+    if (options.having) {
+      query.having(options.having);
+    }
+
+    if (options.orderBy) {
+      query.orderBy(options.orderBy);
+    }
+
+    if (options.limit) {
+      query.limit(options.limit);
+    }
+
+    const result = await this.runQuery(query, options);
+    const types = new Map((result.meta || []).map(column => [column.name, column.type]));
+    const convert = (row) => {
+      const converted = { ...row };
+      for (const alias of Object.keys(metrics)) {
+        converted[alias] = this.castNumeric(row[alias], types.get(alias));
+      }
+      return converted;
+    };
+
+    return this.withSummary((result.data || []).map(convert), {
+      summary: result.summary,
+      totals: result.totals && convert(result.totals),
+      extremes: result.extremes && { min: convert(result.extremes.min), max: convert(result.extremes.max) }
+    });
+  }
+
+  /**
+   * Compile a metric definition into an aggregate expression
+   */
+  compileMetric(alias, metric) {
+    if (typeof metric === 'string') {
+      return metric;
+    }
+
+    if (!Array.isArray(metric) || typeof metric[0] !== 'string') {
+      throw new Error(`Invalid metric "${alias}" on ${this.name}: expected [fn, column]`);
+    }
+
+    const [fn, column] = metric;
+
+    // Plain or parametric function name, e.g. `sum` or `quantile(0.95)`
+    if (!/^[A-Za-z_][A-Za-z0-9_]*(\([^()]*\))?$/.test(fn)) {
+      throw new Error(`Invalid aggregate function "${fn}" for metric "${alias}" on ${this.name}`);
+    }
+
+    return `${fn}(${column === undefined || column === '*' ? '' : column})`;
+  }
+
+  /**
+   * Convert numeric metric values returned by JSON format
+   *
+   * 64-bit and wider integers and Decimals follow the model's `int64` and
+   * `decimal` hydration options; other numbers become numbers.
+   */
+  castNumeric(value, type = '') {
+    if (value === null || value === undefined) {
+      return value;
+    }
+
+    if (Array.isArray(value)) {
+      const element = type && DataTypes.isArray(type) ? DataTypes.unwrap(type).args[0] : '';
+      return value.map(v => this.castNumeric(v, element));
+    }
+
+    if (type && DataTypes.isNumeric(type)) {
+      return this.hydrator.hydrateValue(type, value);
+    }
+
+    return value;
+  }
+
+  /**
+   * Sum of a column
+   */
+  async sum(field, options = {}) {
+    return this.aggregateField('sum', field, options);
+  }
+
+  /**
+   * Average of a column
+   */
+  async avg(field, options = {}) {
+    return this.aggregateField('avg', field, options);
+  }
+
+  /**
+   * Minimum of a column
+   */
+  async min(field, options = {}) {
+    return this.aggregateField('min', field, options);
+  }
+
+  /**
+   * Maximum of a column
+   */
+  async max(field, options = {}) {
+    return this.aggregateField('max', field, options);
+  }
+
+  /**
+   * Approximate number of distinct values of a column
+   */
+  async uniq(field, options = {}) {
+    return this.aggregateField('uniq', field, options);
+  }
+
+  /**
+   * Run a single aggregate function; returns grouped rows when `groupBy` is given
+   */
+  async aggregateField(fn, field, options = {}) {
+    const rows = await this.aggregate({
+      ...options,
+      metrics: { [fn]: [fn, field] }
+    });
+
+    if (options.groupBy) {
+      return rows;
+    }
+
+    return rows[0] ? rows[0][fn] : null;
   }
 
   /**
@@ -122,6 +618,56 @@ class Model {
     return count > 0;
   }
 
+  /**
+   * Table engine of this model
+   */
+  getEngine() {
+    return Engines.resolve(this.options.engine);
+  }
+
+  /**
+   * Apply the ClickHouse SELECT options of a find: `final`, `sample` (a
+   * ratio or `{ ratio, offset }`), `limitBy` (`{ limit, by }`), `settings`
+   * and `extremes`
+   */
+  applySelectOptions(query, options) {
+    this.applyFinal(query, options);
+
+    if (options.sample) {
+      const { ratio, offset } = typeof options.sample === 'object' ? options.sample : { ratio: options.sample };
+      query.sample(ratio, offset);
+    }
+
+    if (options.limitBy) {
+      query.limitBy(options.limitBy.limit, options.limitBy.by);
+    }
+
+    if (options.settings) {
+      query.settings(options.settings);
+    }
+
+    if (options.extremes) {
+      query.extremes();
+    }
+  }
+
+  /**
+   * Add FINAL when requested; only engines that merge rows (Replacing,
+   * Collapsing...) accept it
+   */
+  applyFinal(query, options) {
+    if (!options.final) {
+      return;
+    }
+
+    const engine = this.getEngine();
+    if (!engine.supportsFinal) {
+      throw new SchemaError(`FINAL is not supported by the ${engine.name} engine of ${this.name}`);
+    }
+
+    query.final();
+  }
+
   /**
    * Get primary key field
    */
@@ -134,15 +680,89 @@ class Model {
     return 'id'; // Default primary key
   }
 
+  /**
+   * Cluster this model's DDL runs on: the `cluster` option, else the ORM's
+   */
+  getCluster() {
+    if (this.options.cluster !== undefined) {
+      return this.options.cluster || null;
+    }
+
+    return (this.orm && this.orm.cluster) || null;
+  }
+
+  /**
+   * Settings of the `distributed` option, or null for a single table
+   *
+   * A distributed model stores rows in a `<table>_local` replicated table on
+   * each shard and reads through a Distributed table named after the model.
+   * `insertInto` picks where inserts go: `'distributed'` (default), `'local'`
+   * or another table name.
+   */
+  getDistribution() {
+    const { distributed } = this.options;
+
+    if (!distributed) {
+      return null;
+    }
+
+    const cluster = this.getCluster();
+
+    if (!cluster) {
+      throw new SchemaError(`Model ${this.name} is distributed but has no cluster`);
+    }
+
+    const options = distributed === true ? {} : distributed;
+
+    return {
+      cluster,
+      localTable: options.localTable || `${this.tableName}_local`,
+      shardingKey: options.shardingKey || 'rand()',
+      insertInto: options.insertInto || 'distributed'
+    };
+  }
+
+  /**
+   * Table the rows are stored in; mutations run against it
+   */
+  getStorageTable() {
+    const distribution = this.getDistribution();
+    return distribution ? distribution.localTable : this.tableName;
+  }
+
+  /**
+   * Table inserts are written to
+   */
+  getInsertTable() {
+    const distribution = this.getDistribution();
+
+    if (!distribution || distribution.insertInto === 'distributed') {
+      return this.tableName;
+    }
+
+    return distribution.insertInto === 'local' ? distribution.localTable : distribution.insertInto;
+  }
+
   /**
    * Define association
+   *
+   * Associations are keyed by alias (`as`, else the model name in lower case,
+   * pluralized for hasMany), so one model can be associated several times.
    */
   associate(type, model, options = {}) {
-    this.associations.set(model.name, {
+    const as = options.as || (type === 'hasMany' ? `${model.name.toLowerCase()}s` : model.name.toLowerCase());
+    const association = {
       type,
       model,
+      as,
       options
-    });
+    };
+
+    this.associations.set(as, association);
+
+    if (this.orm) {
+      this.orm.relations.createAssociationMethods(this, model, association);
+    }
   }
 
   /**
@@ -159,6 +779,31 @@ class Model {
     this.associate('belongsTo', model, options);
   }
 
+  /**
+   * Dictionary lookup association: included columns are read with dictGet
+   * instead of a JOIN. `key` is this model's column holding the dictionary key
+   * (a list for complex keys); `attributes` is a list of dictionary attributes
+   * or a map of column alias to attribute.
+   */
+  lookup(model, options = {}) {
+    if (!options.key) {
+      throw new Error(`Lookup from ${this.name} to ${model.name} requires a key column`);
+    }
+
+    this.associate('lookup', model, options);
+  }
+
+  /**
+   * dictGet expression for an attribute of a lookup association
+   */
+  dictGet(as, attribute) {
+    if (!this.orm) {
+      throw new Error(`Model ${this.name} must be defined through the ORM to use lookups`);
+    }
+
+    return this.orm.relations.dictGetExpression(this, this.orm.relations.getAssociation(this, { as }), attribute);
+  }
+
   /**
    * Has one association
    */
@@ -167,4 +812,23 @@ class Model {
   }
 }
 
+/**
+ * Resolve type builders used without arguments, e.g. `type: DataTypes.DateTime`
+ */
+function resolveTypes(attributes) {
+  const resolved = {};
+
+  for (const [field, definition] of Object.entries(attributes)) {
+    if (typeof definition === 'function') {
+      resolved[field] = String(definition);
+    } else if (definition && typeof definition.type === 'function') {
+      resolved[field] = { ...definition, type: String(definition.type) };
+    } else {
+      resolved[field] = definition;
+    }
+  }
+
+  return resolved;
+}
+
 module.exports = Model;
\ No newline at end of file
@@ -1,22 +1,81 @@
+const { Literal } = require('./Literals');
+const DataTypes = require('./DataTypes');
+const { parseType, formatType } = require('./TypeParser');
+const { TimeoutError } = require('./Errors');
+
+const QUERY_OPTIONS = ['abortSignal', 'timeoutMs', 'query_id', 'clickhouse_settings', 'session_id', 'route'];
+
+const PLACEHOLDER = /\{(p_\d+):([^}]+)\}/g;
+
+const JOIN_TYPES = ['INNER', 'LEFT', 'RIGHT', 'FULL', 'CROSS'];
+
+// Join types each strictness may be combined with
+const JOIN_STRICTNESS = {
+  ALL: ['INNER', 'LEFT', 'RIGHT', 'FULL'],
+  ANY: ['INNER', 'LEFT', 'RIGHT', 'FULL'],
+  ASOF: ['INNER', 'LEFT'],
+  SEMI: ['LEFT', 'RIGHT'],
+  ANTI: ['LEFT', 'RIGHT']
+};
+
+const JOIN_OPERATORS = {
+  eq: '=',
+  ne: '!=',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<='
+};
+
 /**
  * Query builder for ClickHouse
  */
 class QueryBuilder {
-  constructor(connection) {
+  constructor(connection, model = null) {
     this.connection = connection;
+    this.model = model;
+    this.aliases = new Map();
+    this.columnTypes = new Map();
+    this.params = {};
+    this.paramCount = 0;
     this.query = {
+      with: [],
       select: [],
       from: '',
+      final: false,
+      sample: null,
+      arrayJoins: [],
       joins: [],
+      prewhere: [],
       where: [],
       groupBy: [],
+      groupByModifiers: [],
       having: [],
       orderBy: [],
+      limitBy: null,
       limit: null,
-      offset: null
+      offset: null,
+      unions: [],
+      settings: {}
     };
   }
 
+  /**
+   * Copy of this builder that can be extended without changing it
+   */
+  clone() {
+    const copy = new QueryBuilder(this.connection, this.model);
+    copy.aliases = new Map(this.aliases);
+    copy.columnTypes = new Map(this.columnTypes);
+    copy.params = { ...this.params };
+    copy.paramCount = this.paramCount;
+    copy.query = Object.fromEntries(Object.entries(this.query).map(([key, value]) => [
+      key,
+      Array.isArray(value) ? [...value] : (value && typeof value === 'object' ? { ...value } : value)
+    ]));
+    return copy;
+  }
+
   /**
    * Select fields
    */
@@ -30,21 +89,145 @@ class QueryBuilder {
   }
 
   /**
-   * From table
+   * Read a fraction (`0.1`, `'1/10'`) or approximate number of rows of the
+   * table, optionally from `offset`; the table needs a SAMPLE BY key
+   */
+  sample(ratio, offset = null) {
+    for (const value of [ratio, offset]) {
+      if (value !== null && !/^\d+(\.\d+)?(\/\d+)?$/.test(String(value))) {
+        throw new Error(`Invalid sample value "${value}": expected a ratio such as 0.1 or 1/10, or a row count`);
+      }
+    }
+
+    this.query.sample = offset === null ? `${ratio}` : `${ratio} OFFSET ${offset}`;
+    return this;
+  }
+
+  /**
+   * Add a common table expression: `with('active', builder)` renders
+   * `WITH active AS (SELECT ...)`, `with('threshold', '100')` renders
+   * `WITH 100 AS threshold`
+   */
+  with(name, query) {
+    this.query.with.push(query instanceof QueryBuilder
+      ? `${name} AS (${this.embed(query)})`
+      : `${query} AS ${name}`);
+    return this;
+  }
+
+  /**
+   * From table, CTE or subquery builder, optionally under an alias
+   */
+  from(table, alias = null) {
+    const source = table instanceof QueryBuilder ? `(${this.embed(table)})` : table;
+    this.query.from = alias ? `${source} AS ${alias}` : source;
+
+    if (alias && table instanceof QueryBuilder && table.model) {
+      this.aliases.set(alias, table.model);
+    }
+
+    return this;
+  }
+
+  /**
+   * SQL of another builder, with its parameters renamed into this builder's
+   *
+   * Builders are compiled when they are passed in, so later changes to them
+   * are not seen. Any number of builders can be combined this way without
+   * their parameters clashing.
+   */
+  embed(builder) {
+    const { sql, params } = builder.toSQL();
+    return sql.replace(PLACEHOLDER, (placeholder, name, type) => this.bind(params[name], type));
+  }
+
+  /**
+   * Register the model behind a table alias, so `alias.field` conditions are typed
+   */
+  alias(name, model) {
+    this.aliases.set(name, model);
+    return this;
+  }
+
+  /**
+   * Read the table with FINAL (merge rows at query time)
    */
-  from(table) {
-    this.query.from = table;
+  final(enabled = true) {
+    this.query.final = enabled;
+    return this;
+  }
+
+  /**
+   * Unfold Array columns into one row per element
+   *
+   * Takes a column, a list of columns or an `{ alias: column }` map; aliased
+   * elements of model Array attributes are typed in later conditions.
+   */
+  arrayJoin(columns, left = false) {
+    const entries = typeof columns === 'object' && !Array.isArray(columns)
+      ? Object.entries(columns)
+      : [].concat(columns).map(column => [null, column]);
+
+    const expressions = entries.map(([alias, column]) => {
+      if (!alias) {
+        return column;
+      }
+
+      const type = this.getFieldType(column);
+      if (type && DataTypes.isArray(type)) {
+        this.columnTypes.set(alias, DataTypes.unwrap(type).args[0]);
+      }
+
+      return `${column} AS ${alias}`;
+    });
+
+    this.query.arrayJoins.push({ left, expressions });
     return this;
   }
 
+  /**
+   * ARRAY JOIN that keeps rows whose arrays are empty
+   */
+  leftArrayJoin(columns) {
+    return this.arrayJoin(columns, true);
+  }
+
   /**
    * Join tables
+   *
+   * `table` is a table name, a model or a subquery builder. `condition` is a
+   * raw ON expression, an `{ 'a.id': 'b.a_id' }` map (see compileJoinCondition)
+   * or an array of columns for USING. `options` is the join type, or
+   * `{ type, strictness, global, as }`: type INNER (default), LEFT, RIGHT,
+   * FULL or CROSS; strictness ANY, ALL, ASOF, SEMI or ANTI; `global` for
+   * GLOBAL JOIN on distributed tables.
    */
-  join(table, condition, type = 'INNER') {
+  join(table, condition, options = {}) {
+    const { type = 'INNER', strictness = null, global = false, as = null } =
+      typeof options === 'string' ? { type: options } : options;
+    const kind = type.toUpperCase().replace(/\s+OUTER$/, '');
+    const strict = strictness && strictness.toUpperCase();
+
+    if (!JOIN_TYPES.includes(kind)) {
+      throw new Error(`Unknown join type "${type}"`);
+    }
+
+    if (strict && !JOIN_STRICTNESS[strict]) {
+      throw new Error(`Unknown join strictness "${strictness}"`);
+    }
+
+    if (strict && !JOIN_STRICTNESS[strict].includes(kind)) {
+      throw new Error(`${strict} JOIN cannot be combined with ${kind} JOIN`);
+    }
+
+    if ((kind === 'CROSS') !== (condition === null || condition === undefined)) {
+      throw new Error(kind === 'CROSS' ? 'CROSS JOIN takes no condition' : `${kind} JOIN requires a condition`);
+    }
+
     this.query.joins.push({
-      type,
-      table,
-      condition
+      type: [global && 'GLOBAL', kind, strict].filter(Boolean).join(' '),
+      table: this.compileJoinSource(table, as),
+      constraint: kind === 'CROSS' ? '' : this.compileJoinConstraint(condition, strict)
     });
     return this;
   }
@@ -52,15 +235,140 @@ class QueryBuilder {
   /**
    * Left join
    */
-  leftJoin(table, condition) {
-    return this.join(table, condition, 'LEFT');
+  leftJoin(table, condition, options = {}) {
+    return this.join(table, condition, { ...joinOptions(options), type: 'LEFT' });
   }
 
   /**
    * Right join
    */
-  rightJoin(table, condition) {
-    return this.join(table, condition, 'RIGHT');
+  rightJoin(table, condition, options = {}) {
+    return this.join(table, condition, { ...joinOptions(options), type: 'RIGHT' });
+  }
+
+  /**
+   * Full outer join
+   */
+  fullJoin(table, condition, options = {}) {
+    return this.join(table, condition, { ...joinOptions(options), type: 'FULL' });
+  }
+
+  /**
+   * Cartesian product with another table
+   */
+  crossJoin(table, options = {}) {
+    return this.join(table, null, { ...joinOptions(options), type: 'CROSS' });
+  }
+
+  /**
+   * ASOF join: match each row with the closest row of `table`
+   *
+   * The condition needs exact matches plus one inequality, e.g.
+   * `{ 'e.user_id': 'p.user_id', 'e.ts': { gte: 'p.ts' } }`, which pairs
+   * every event with the latest preceding price. Pass `type: 'LEFT'` to keep
+   * rows without a match.
+   */
+  asofJoin(table, condition, options = {}) {
+    return this.join(table, condition, { type: 'INNER', ...joinOptions(options), strictness: 'ASOF' });
+  }
+
+  /**
+   * Table, model or subquery of a join, with its alias
+   *
+   * Aliased models (and subqueries built for a model) type `alias.field`
+   * conditions.
+   */
+  compileJoinSource(table, as) {
+    let source = table;
+    let model = null;
+
+    if (table instanceof QueryBuilder) {
+      source = `(${this.embed(table)})`;
+      model = table.model;
+    } else if (table && typeof table === 'object') {
+      source = table.tableName;
+      model = table;
+    }
+
+    if (!as) {
+      return source;
+    }
+
+    if (model) {
+      this.aliases.set(as, model);
+    }
+
+    return `${source} AS ${as}`;
+  }
+
+  /**
+   * ON or USING clause of a join
+   */
+  compileJoinConstraint(condition, strictness) {
+    if (Array.isArray(condition)) {
+      if (condition.length === 0) {
+        throw new Error('USING requires at least one column');
+      }
+
+      return `USING (${condition.join(', ')})`;
+    }
+
+    if (typeof condition === 'string') {
+      return `ON ${condition}`;
+    }
+
+    const fragments = this.compileJoinCondition(condition);
+
+    if (strictness === 'ASOF' && !fragments.some(fragment => /[<>]/.test(fragment))) {
+      throw new Error('ASOF JOIN requires an inequality such as { gte: column }');
+    }
+
+    return `ON ${fragments.join(' AND ')}`;
+  }
+
+  /**
+   * Compile an `{ left: right }` join condition map
+   *
+   * Strings on the right are column names. `{ gte: 'b.ts' }` style values
+   * compare columns with eq, ne, gt, gte, lt or lte. Literals are used as
+   * they are, and other values are bound as parameters typed by the left
+   * column.
+   */
+  compileJoinCondition(condition) {
+    const fragments = [];
+
+    for (const [left, right] of Object.entries(condition)) {
+      const comparisons = right && typeof right === 'object' && !(right instanceof Date) && !(right instanceof Literal)
+        ? Object.entries(right)
+        : [['eq', right]];
+
+      for (const [operator, value] of comparisons) {
+        if (!JOIN_OPERATORS[operator]) {
+          throw new Error(`Unknown join operator "${operator}" for ${left}`);
+        }
+
+        const operand = typeof value === 'string' ? value : this.bindValue(left, value);
+        fragments.push(`${left} ${JOIN_OPERATORS[operator]} ${operand}`);
+      }
+    }
+
+    if (fragments.length === 0) {
+      throw new Error('Join condition is empty');
+    }
+
+    return fragments;
+  }
+
+  /**
+   * PREWHERE conditions, read before the other columns to skip whole granules
+   */
+  prewhere(conditions) {
+    if (typeof conditions === 'string') {
+      this.query.prewhere.push(conditions);
+    } else if (typeof conditions === 'object' && conditions !== null) {
+      this.query.prewhere.push(...this.compileConditions(conditions));
+    }
+    return this;
   }
 
   /**
@@ -69,63 +377,364 @@ class QueryBuilder {
   where(conditions) {
     if (typeof conditions === 'string') {
       this.query.where.push(conditions);
-    } else if (typeof conditions === 'object') {
-      for (const [field, value] of Object.entries(conditions)) {
-        if (Array.isArray(value)) {
-          this.query.where.push(`${field} IN (${value.map(v => `'${v}'`).join(', ')})`);
-        } else if (typeof value === 'object' && value !== null) {
-          this.handleComplexCondition(field, value);
-        } else {
-          this.query.where.push(`${field} = '${value}'`);
-        }
-      }
+    } else if (typeof conditions === 'object' && conditions !== null) {
+      this.query.where.push(...this.compileConditions(conditions));
     }
     return this;
   }
 
+  /**
+   * Compile a conditions object into a list of SQL fragments
+   *
+   * Keys are field names, except for the `and`, `or` and `not` groups,
+   * which may be nested to any depth.
+   */
+  compileConditions(conditions) {
+    if (typeof conditions === 'string') {
+      return [conditions];
+    }
+
+    const fragments = [];
+
+    for (const [key, value] of Object.entries(conditions)) {
+      switch (key) {
+        case 'and':
+          fragments.push(this.compileGroup(value, 'AND'));
+          break;
+        case 'or':
+          fragments.push(this.compileGroup(value, 'OR'));
+          break;
+        case 'not':
+          fragments.push(`NOT ${this.compileGroup(value, 'AND')}`);
+          break;
+        default:
+          fragments.push(...this.compileField(key, value));
+      }
+    }
+
+    return fragments;
+  }
+
+  /**
+   * Compile a list (or object) of conditions joined by AND / OR
+   */
+  compileGroup(conditions, joiner) {
+    const list = Array.isArray(conditions)
+      ? conditions
+      : Object.entries(conditions).map(([key, value]) => ({ [key]: value }));
+
+    const parts = list
+      .map(condition => this.compileConditions(condition))
+      .filter(fragments => fragments.length > 0)
+      .map(fragments => fragments.length > 1 ? `(${fragments.join(' AND ')})` : fragments[0]);
+
+    if (parts.length === 0) {
+      // An empty OR matches nothing, an empty AND matches everything
+      return joiner === 'OR' ? '0' : '1';
+    }
+
+    return `(${parts.join(` ${joiner} `)})`;
+  }
+
+  /**
+   * Compile the condition on a single field
+   */
+  compileField(field, value) {
+    if (Array.isArray(value) || value instanceof QueryBuilder) {
+      return [this.compileIn(field, value)];
+    }
+
+    if (value === null) {
+      return [`${field} IS NULL`];
+    }
+
+    if (typeof value === 'object' && !(value instanceof Date) && !(value instanceof Literal)) {
+      return this.handleComplexCondition(field, value);
+    }
+
+    return [`${field} = ${this.bindValue(field, value)}`];
+  }
+
   /**
    * Handle complex conditions
    */
   handleComplexCondition(field, condition) {
+    const fragments = [];
+
     for (const [operator, value] of Object.entries(condition)) {
       switch (operator) {
+        case 'eq':
+          fragments.push(...this.compileField(field, value));
+          break;
         case 'gt':
-          this.query.where.push(`${field} > '${value}'`);
+          fragments.push(`${field} > ${this.bindValue(field, value)}`);
           break;
         case 'gte':
-          this.query.where.push(`${field} >= '${value}'`);
+          fragments.push(`${field} >= ${this.bindValue(field, value)}`);
           break;
         case 'lt':
-          this.query.where.push(`${field} < '${value}'`);
+          fragments.push(`${field} < ${this.bindValue(field, value)}`);
           break;
         case 'lte':
-          this.query.where.push(`${field} <= '${value}'`);
+          fragments.push(`${field} <= ${this.bindValue(field, value)}`);
           break;
         case 'ne':
-          this.query.where.push(`${field} != '${value}'`);
+          fragments.push(value === null
+            ? `${field} IS NOT NULL`
+            : `${field} != ${this.bindValue(field, value)}`);
+          break;
+        case 'between':
+        case 'notBetween':
+          fragments.push(this.compileBetween(field, value, operator === 'notBetween'));
           break;
         case 'like':
-          this.query.where.push(`${field} LIKE '${value}'`);
+          fragments.push(`${field} LIKE ${this.bind(value, 'String')}`);
+          break;
+        case 'notLike':
+          fragments.push(`${field} NOT LIKE ${this.bind(value, 'String')}`);
+          break;
+        case 'ilike':
+          fragments.push(`${field} ILIKE ${this.bind(value, 'String')}`);
+          break;
+        case 'notIlike':
+          fragments.push(`${field} NOT ILIKE ${this.bind(value, 'String')}`);
+          break;
+        case 'match':
+          fragments.push(`match(${field}, ${this.bind(value, 'String')})`);
+          break;
+        case 'startsWith':
+          fragments.push(`startsWith(${field}, ${this.bind(value, 'String')})`);
+          break;
+        case 'endsWith':
+          fragments.push(`endsWith(${field}, ${this.bind(value, 'String')})`);
           break;
         case 'in':
-          this.query.where.push(`${field} IN (${value.map(v => `'${v}'`).join(', ')})`);
+          fragments.push(this.compileIn(field, value));
           break;
         case 'notIn':
-          this.query.where.push(`${field} NOT IN (${value.map(v => `'${v}'`).join(', ')})`);
+          fragments.push(this.compileIn(field, value, true));
+          break;
+        case 'isNull':
+          fragments.push(value ? `${field} IS NULL` : `${field} IS NOT NULL`);
+          break;
+        case 'notNull':
+          fragments.push(value ? `${field} IS NOT NULL` : `${field} IS NULL`);
+          break;
+        case 'has':
+          fragments.push(`has(${field}, ${this.bind(value, this.resolveElementType(field, value))})`);
+          break;
+        case 'hasAny':
+        case 'hasAll': {
+          const elementType = this.resolveElementType(field, value[0]);
+          fragments.push(`${operator}(${field}, ${this.bind(value, `Array(${elementType})`)})`);
           break;
+        }
+        case 'and':
+          fragments.push(this.compileFieldGroup(field, value, 'AND'));
+          break;
+        case 'or':
+          fragments.push(this.compileFieldGroup(field, value, 'OR'));
+          break;
+        case 'not':
+          fragments.push(`NOT ${this.compileFieldGroup(field, value, 'AND')}`);
+          break;
+        default:
+          throw new Error(`Unknown operator "${operator}" for field ${field}`);
       }
     }
+
+    return fragments;
   }
 
   /**
-   * Group by
+   * Compile a group of operators applied to the same field,
+   * e.g. `{ age: { or: { lt: 18, gt: 65 } } }`
    */
-  groupBy(fields) {
+  compileFieldGroup(field, operators, joiner) {
+    const list = Array.isArray(operators) ? operators : [operators];
+    const conditions = list.flatMap(entry => {
+      if (typeof entry !== 'object' || entry === null || entry instanceof Date || entry instanceof Literal) {
+        return [{ [field]: entry }];
+      }
+      return Object.entries(entry).map(([operator, value]) => ({ [field]: { [operator]: value } }));
+    });
+
+    return this.compileGroup(conditions, joiner);
+  }
+
+  /**
+   * Compile a BETWEEN / NOT BETWEEN range
+   */
+  compileBetween(field, range, negate = false) {
+    if (!Array.isArray(range) || range.length !== 2) {
+      throw new Error(`Operator "${negate ? 'notBetween' : 'between'}" for field ${field} expects [from, to]`);
+    }
+
+    const [from, to] = range;
+    return `${field} ${negate ? 'NOT BETWEEN' : 'BETWEEN'} ${this.bindValue(field, from)} AND ${this.bindValue(field, to)}`;
+  }
+
+  /**
+   * Compile an IN / NOT IN list with one placeholder per element, or
+   * against a subquery builder
+   */
+  compileIn(field, values, negate = false) {
+    if (values instanceof QueryBuilder) {
+      return `${field} ${negate ? 'NOT IN' : 'IN'} (${this.embed(values)})`;
+    }
+
+    if (values.length === 0) {
+      // An empty set matches nothing, its negation matches everything
+      return negate ? '1' : '0';
+    }
+
+    const placeholders = values.map(v => this.bindValue(field, v)).join(', ');
+    return `${field} ${negate ? 'NOT IN' : 'IN'} (${placeholders})`;
+  }
+
+  /**
+   * Bind a value compared against a field, typed from the model attributes
+   */
+  bindValue(field, value) {
+    if (value instanceof Literal) {
+      return value.toString();
+    }
+
+    return this.bind(value, this.resolveParamType(field, value));
+  }
+
+  /**
+   * Register a query parameter and return its {name:Type} placeholder
+   */
+  bind(value, type) {
+    const name = `p_${this.paramCount++}`;
+    this.params[name] = typeof value === 'bigint' ? value.toString() : value;
+    return `{${name}:${type}}`;
+  }
+
+  /**
+   * Resolve the ClickHouse type of a parameter compared against a field
+   */
+  resolveParamType(field, value) {
+    const type = this.getFieldType(field);
+
+    if (!type) {
+      return this.inferParamType(value);
+    }
+
+    return this.toParamType(type);
+  }
+
+  /**
+   * Resolve the element type of an Array field for has/hasAny/hasAll
+   */
+  resolveElementType(field, value) {
+    const type = this.getFieldType(field);
+
+    if (type && DataTypes.isArray(type)) {
+      return this.toParamType(DataTypes.unwrap(type).args[0]);
+    }
+
+    return this.inferParamType(value);
+  }
+
+  /**
+   * Look up a field's declared type on the model
+   */
+  getFieldType(field) {
+    if (this.columnTypes.has(field)) {
+      return this.columnTypes.get(field);
+    }
+
+    // Resolve a table/alias qualifier such as `u.age`
+    const qualifier = field.includes('.') ? field.slice(0, field.lastIndexOf('.')) : null;
+    const name = qualifier ? field.slice(field.lastIndexOf('.') + 1) : field;
+    const model = (qualifier && this.aliases.get(qualifier)) || this.model;
+
+    if (!model || !model.attributes) {
+      return null;
+    }
+
+    const definition = model.attributes[name];
+
+    if (!definition) {
+      return null;
+    }
+
+    return typeof definition === 'string' ? definition : definition.type || null;
+  }
+
+  /**
+   * Convert a column type to a type usable as a query parameter
+   */
+  toParamType(type) {
+    const node = parseType(type);
+    const { name, args } = node;
+
+    switch (name) {
+      case 'LowCardinality':
+        return this.toParamType(args[0]);
+      case 'SimpleAggregateFunction':
+        return this.toParamType(args[1]);
+      case 'Nullable':
+        return `Nullable(${this.toParamType(args[0])})`;
+      // Enums compare against their string names
+      case 'Enum':
+      case 'Enum8':
+      case 'Enum16':
+        return 'String';
+      default:
+        return formatType(node);
+    }
+  }
+
+  /**
+   * Infer a parameter type from a JavaScript value
+   */
+  inferParamType(value) {
+    if (typeof value === 'boolean') {
+      return 'Bool';
+    }
+
+    if (typeof value === 'bigint') {
+      return value < 0n ? 'Int64' : 'UInt64';
+    }
+
+    if (typeof value === 'number') {
+      return Number.isInteger(value) ? 'Int64' : 'Float64';
+    }
+
+    if (value instanceof Date) {
+      return 'DateTime64(3)';
+    }
+
+    if (Array.isArray(value)) {
+      return `Array(${value.length > 0 ? this.inferParamType(value[0]) : 'String'})`;
+    }
+
+    return 'String';
+  }
+
+  /**
+   * Group by, with `{ rollup }` or `{ cube }` for subtotals and `{ totals }`
+   * for a grand total row (returned as the result's `totals`)
+   */
+  groupBy(fields, options = {}) {
     if (typeof fields === 'string') {
       this.query.groupBy = [fields];
     } else if (Array.isArray(fields)) {
       this.query.groupBy = fields;
     }
+
+    if (options.rollup && options.cube) {
+      throw new Error('GROUP BY cannot use both ROLLUP and CUBE');
+    }
+
+    this.query.groupByModifiers = [
+      options.rollup && 'WITH ROLLUP',
+      options.cube && 'WITH CUBE',
+      options.totals && 'WITH TOTALS'
+    ].filter(Boolean);
     return this;
   }
 
@@ -135,27 +744,85 @@ class QueryBuilder {
   having(conditions) {
     if (typeof conditions === 'string') {
       this.query.having.push(conditions);
+    } else if (typeof conditions === 'object' && conditions !== null) {
+      this.query.having.push(...this.compileConditions(conditions));
     }
     return this;
   }
 
   /**
    * Order by
+   *
+   * `withFill` (true or `{ from, to, step }`) inserts rows for missing
+   * values of the key. Arrays may mix raw strings and
+   * `{ field, direction, withFill }` entries.
    */
-  orderBy(field, direction = 'ASC') {
+  orderBy(field, direction = 'ASC', options = {}) {
+    if (typeof direction === 'object') {
+      return this.orderBy(field, 'ASC', direction);
+    }
+
     if (typeof field === 'string') {
-      this.query.orderBy.push(`${field} ${direction}`);
+      this.query.orderBy.push(this.compileOrder(field, direction, options.withFill));
     } else if (Array.isArray(field)) {
-      this.query.orderBy = field;
+      this.query.orderBy = field.map(entry => typeof entry === 'string'
+        ? entry
+        : this.compileOrder(entry.field, entry.direction || 'ASC', entry.withFill));
     }
     return this;
   }
 
+  /**
+   * Compile one ORDER BY key and its WITH FILL clause
+   */
+  compileOrder(field, direction, withFill) {
+    // Keys such as 'revenue DESC' already carry their direction
+    let sql = /\s(ASC|DESC)$/i.test(field.trim()) ? field.trim() : `${field} ${direction}`;
+
+    if (!withFill) {
+      return sql;
+    }
+
+    sql += ' WITH FILL';
+
+    const { from, to, step } = typeof withFill === 'object' ? withFill : {};
+    const bound = (value) => typeof value === 'string' ? value : this.bindValue(field, value);
+
+    if (from !== undefined) {
+      sql += ` FROM ${bound(from)}`;
+    }
+
+    if (to !== undefined) {
+      sql += ` TO ${bound(to)}`;
+    }
+
+    // Steps are numbers or interval expressions such as 'INTERVAL 1 DAY'
+    if (step !== undefined) {
+      sql += ` STEP ${step}`;
+    }
+
+    return sql;
+  }
+
+  /**
+   * Keep at most `limit` rows for each distinct value of `columns`
+   */
+  limitBy(limit, columns) {
+    const by = Array.isArray(columns) ? columns : [columns];
+
+    if (!Number.isInteger(limit) || limit < 0 || by.length === 0) {
+      throw new Error('limitBy expects a row count and at least one column');
+    }
+
+    this.query.limitBy = `${limit} BY ${by.join(', ')}`;
+    return this;
+  }
+
   /**
    * Limit results
    */
   limit(count) {
-    this.query.limit = count;
+    this.query.limit = toRowCount(count, 'limit');
     return this;
   }
 
@@ -163,7 +830,40 @@ class QueryBuilder {
    * Offset results
    */
   offset(count) {
-    this.query.offset = count;
+    this.query.offset = toRowCount(count, 'offset');
+    return this;
+  }
+
+  /**
+   * Query-level settings, rendered as a SETTINGS clause
+   */
+  settings(settings) {
+    for (const name of Object.keys(settings)) {
+      if (!/^\w+$/.test(name)) {
+        throw new Error(`Invalid setting name "${name}"`);
+      }
+    }
+
+    Object.assign(this.query.settings, settings);
+    return this;
+  }
+
+  /**
+   * Compute the minimum and maximum of every column (returned as the
+   * result's `extremes`)
+   */
+  extremes(enabled = true) {
+    return this.settings({ extremes: enabled ? 1 : 0 });
+  }
+
+  /**
+   * Append a query whose rows are added to this one's with UNION ALL
+   *
+   * ORDER BY and LIMIT apply to each SELECT on its own; select from the
+   * union as a subquery to sort or limit the combined rows.
+   */
+  unionAll(builder) {
+    this.query.unions.push(builder instanceof QueryBuilder ? this.embed(builder) : builder);
     return this;
   }
 
@@ -171,11 +871,38 @@ class QueryBuilder {
    * Build SQL query
    */
   build() {
-    let sql = `SELECT ${this.query.select.join(', ')} FROM ${this.query.from}`;
+    let sql = '';
+
+    if (this.query.with.length > 0) {
+      sql += `WITH ${this.query.with.join(', ')} `;
+    }
+
+    sql += `SELECT ${this.query.select.join(', ')}`;
+
+    // Projection queries have no FROM of their own
+    if (this.query.from) {
+      sql += ` FROM ${this.query.from}`;
+    }
+
+    if (this.query.final) {
+      sql += ' FINAL';
+    }
+
+    if (this.query.sample) {
+      sql += ` SAMPLE ${this.query.sample}`;
+    }
+
+    for (const arrayJoin of this.query.arrayJoins) {
+      sql += ` ${arrayJoin.left ? 'LEFT ' : ''}ARRAY JOIN ${arrayJoin.expressions.join(', ')}`;
+    }
 
     // Add joins
     for (const join of this.query.joins) {
-      sql += ` ${join.type} JOIN ${join.table} ON ${join.condition}`;
+      sql += ` ${join.type} JOIN ${join.table}${join.constraint ? ` ${join.constraint}` : ''}`;
+    }
+
+    if (this.query.prewhere.length > 0) {
+      sql += ` PREWHERE ${this.query.prewhere.join(' AND ')}`;
     }
 
     // Add where conditions
@@ -185,7 +912,7 @@ class QueryBuilder {
 
     // Add group by
     if (this.query.groupBy.length > 0) {
-      sql += ` GROUP BY ${this.query.groupBy.join(', ')}`;
+      sql += ` GROUP BY ${[this.query.groupBy.join(', '), ...this.query.groupByModifiers].join(' ')}`;
     }
 
     // Add having
@@ -198,6 +925,10 @@ class QueryBuilder {
       sql += ` ORDER BY ${this.query.orderBy.join(', ')}`;
     }
 
+    if (this.query.limitBy) {
+      sql += ` LIMIT ${this.query.limitBy}`;
+    }
+
     // Add limit and offset
     if (this.query.limit !== null) {
       sql += ` LIMIT ${this.query.limit}`;
@@ -207,16 +938,247 @@ class QueryBuilder {
       sql += ` OFFSET ${this.query.offset}`;
     }
 
+    for (const union of this.query.unions) {
+      sql += ` UNION ALL ${union}`;
+    }
+
+    const settings = Object.entries(this.query.settings);
+
+    if (settings.length > 0) {
+      sql += ` SETTINGS ${settings.map(([name, value]) => `${name} = ${formatSetting(value)}`).join(', ')}`;
+    }
+
     return sql;
   }
 
+  /**
+   * Build an ALTER TABLE ... UPDATE mutation for the current table and conditions
+   */
+  toUpdateSQL(values, options = {}) {
+    const assignments = Object.entries(values)
+      .map(([field, value]) => `${field} = ${value === null ? 'NULL' : this.bindValue(field, value)}`);
+
+    if (assignments.length === 0) {
+      throw new Error(`No values to update in ${this.query.from}`);
+    }
+
+    return {
+      sql: `ALTER TABLE ${this.query.from}${onCluster(options.cluster)} UPDATE ${assignments.join(', ')} WHERE ${this.buildMutationWhere()}`,
+      params: { ...this.params }
+    };
+  }
+
+  /**
+   * Build a lightweight DELETE, or an ALTER TABLE ... DELETE mutation with `mutation`
+   */
+  toDeleteSQL(options = {}) {
+    const where = this.buildMutationWhere();
+    const table = `${this.query.from}${onCluster(options.cluster)}`;
+    const sql = options.mutation
+      ? `ALTER TABLE ${table} DELETE WHERE ${where}`
+      : `DELETE FROM ${table} WHERE ${where}`;
+
+    return {
+      sql,
+      params: { ...this.params }
+    };
+  }
+
+  /**
+   * Where clause of a mutation; an empty one is refused to avoid touching every row
+   */
+  buildMutationWhere() {
+    if (this.query.where.length === 0) {
+      throw new Error(`Refusing to mutate ${this.query.from} without where conditions`);
+    }
+
+    return this.query.where.join(' AND ');
+  }
+
+  /**
+   * Build SQL query together with its bound parameters
+   */
+  toSQL() {
+    return {
+      sql: this.build(),
+      params: { ...this.params }
+    };
+  }
+
+  /**
+   * Build SQL with parameters inlined as literals
+   *
+   * For statements that cannot take query parameters, such as materialized
+   * view and projection definitions.
+   */
+  toInlineSQL() {
+    return this.build().replace(PLACEHOLDER, (placeholder, name, type) =>
+      formatLiteral(this.params[name], type)
+    );
+  }
+
   /**
    * Execute query
+   *
+   * Accepts the per-query connection options: `abortSignal`, `timeoutMs`,
+   * `query_id`, `clickhouse_settings` and `session_id`.
+   */
+  async execute(options = {}) {
+    const { sql, params } = this.toSQL();
+    return this.connection.query(sql, { ...QueryBuilder.queryOptions(options), params });
+  }
+
+  /**
+   * Pick the per-query connection options out of a larger options object
+   */
+  static queryOptions(options = {}) {
+    const picked = {};
+
+    for (const key of QUERY_OPTIONS) {
+      if (options[key] !== undefined) {
+        picked[key] = options[key];
+      }
+    }
+
+    return picked;
+  }
+
+  /**
+   * Stream results as an async iterable
+   *
+   * Rows are read from a JSONEachRow response and pulled only as fast as
+   * the consumer iterates. Rows are hydrated into model instances when the
+   * builder has a model (unless `raw` is set). `batchSize` yields arrays of
+   * rows; aborting `abortSignal` ends the iteration early, while passing
+   * `timeoutMs` fails it with a TimeoutError.
+   */
+  stream(options = {}) {
+    const { sql, params } = this.toSQL();
+    return this.readStream(() => this.connection.stream(sql, { ...QueryBuilder.queryOptions(options), params }), options);
+  }
+
+  /**
+   * Iterate the result set returned by `open()`, as `stream` does
+   *
+   * Lets callers open the stream themselves, e.g. inside model query hooks.
    */
-  async execute() {
-    const sql = this.build();
-    return this.connection.query(sql);
+  async *readStream(open, options = {}) {
+    const { batchSize, abortSignal } = options;
+    const hydrate = this.model && !options.raw;
+    const types = hydrate ? this.model.getResultTypes() : null;
+
+    let resultSet = null;
+    let batch = [];
+
+    try {
+      resultSet = await open();
+
+      for await (const rows of resultSet.stream()) {
+        for (const row of rows) {
+          const values = row.json();
+          const record = hydrate ? this.model.buildFromRow(values, types) : values;
+
+          if (!batchSize) {
+            yield record;
+            continue;
+          }
+
+          batch.push(record);
+          if (batch.length >= batchSize) {
+            yield batch;
+            batch = [];
+          }
+        }
+      }
+
+      if (batch.length > 0) {
+        yield batch;
+      }
+    } catch (error) {
+      const reason = resultSet ? resultSet.abortReason() : null;
+
+      if (reason instanceof TimeoutError || !(abortSignal && abortSignal.aborted)) {
+        throw reason || error;
+      }
+    } finally {
+      // Releases the socket when the consumer stops early
+      if (resultSet) {
+        resultSet.close();
+      }
+    }
   }
 }
 
+/**
+ * ON CLUSTER clause for mutations on a cluster
+ */
+function onCluster(cluster) {
+  return cluster ? ` ON CLUSTER ${cluster}` : '';
+}
+
+/**
+ * Join options given as a type string or an options object
+ */
+function joinOptions(options) {
+  return typeof options === 'string' ? { type: options } : options;
+}
+
+/**
+ * Format a SETTINGS value
+ */
+function formatSetting(value) {
+  if (typeof value === 'boolean') {
+    return value ? '1' : '0';
+  }
+
+  if (typeof value === 'number' || typeof value === 'bigint') {
+    return String(value);
+  }
+
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+/**
+ * LIMIT / OFFSET row count, which is written into the SQL and so must be a
+ * non-negative integer (digit strings, e.g. from a URL, are accepted)
+ */
+function toRowCount(value, clause) {
+  const count = typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value;
+
+  if (!Number.isSafeInteger(count) || count < 0) {
+    throw new Error(`${clause} expects a non-negative integer, got ${String(value)}`);
+  }
+
+  return count;
+}
+
+/**
+ * Format a bound parameter as a SQL literal of its parameter type
+ */
+function formatLiteral(value, type) {
+  if (value === null || value === undefined) {
+    return 'NULL';
+  }
+
+  if (Array.isArray(value)) {
+    const elementType = type.replace(/^Array\((.*)\)$/, '$1');
+    return `[${value.map(element => formatLiteral(element, elementType)).join(', ')}]`;
+  }
+
+  if (typeof value === 'number' || typeof value === 'bigint') {
+    return String(value);
+  }
+
+  if (typeof value === 'boolean') {
+    return value ? 'true' : 'false';
+  }
+
+  if (value instanceof Date) {
+    return `toDateTime64('${value.toISOString().replace('T', ' ').replace('Z', '')}', 3, 'UTC')`;
+  }
+
+  const quoted = `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+  return /^(Nullable\()?String\)?$/.test(type) ? quoted : `CAST(${quoted} AS ${type})`;
+}
+
 module.exports = QueryBuilder;
\ No newline at end of file
@@ -1,3 +1,8 @@
+const QueryBuilder = require('./QueryBuilder');
+
+// Parent keys per include query, so the bound keys stay well below http_max_uri_size
+const INCLUDE_KEYS_PER_QUERY = 1000;
+
 /**
  * Relationship handling for ClickHouse ORM
  */
@@ -13,11 +18,11 @@ class Relations {
     const models = this.orm.getModels();
     
     for (const model of models) {
-      for (const [associatedModelName, association] of model.associations) {
-        const associatedModel = this.orm.model(associatedModelName);
+      for (const association of model.associations.values()) {
+        const associatedModel = this.orm.model(association.model.name);
         
         if (!associatedModel) {
-          throw new Error(`Associated model ${associatedModelName} not found`);
+          throw new Error(`Associated model ${association.model.name} not found`);
         }
 
         this.createAssociationMethods(model, associatedModel, association);
@@ -53,7 +58,7 @@ class Relations {
 
     // Get associated records
     model.prototype[`get${this.capitalize(as)}`] = async function(findOptions = {}) {
-      const primaryKey = model.prototype.getPrimaryKey();
+      const primaryKey = model.getPrimaryKey();
       const whereCondition = {
         [foreignKey]: this[primaryKey]
       };
@@ -69,7 +74,7 @@ class Relations {
 
     // Count associated records
     model.prototype[`count${this.capitalize(as)}`] = async function(findOptions = {}) {
-      const primaryKey = model.prototype.getPrimaryKey();
+      const primaryKey = model.getPrimaryKey();
       const whereCondition = {
         [foreignKey]: this[primaryKey]
       };
@@ -103,7 +108,7 @@ class Relations {
         return null;
       }
 
-      const primaryKey = associatedModel.prototype.getPrimaryKey();
+      const primaryKey = associatedModel.getPrimaryKey();
       return associatedModel.findOne({
         ...findOptions,
         where: {
@@ -123,7 +128,7 @@ class Relations {
 
     // Get associated record
     model.prototype[`get${this.capitalize(as)}`] = async function(findOptions = {}) {
-      const primaryKey = model.prototype.getPrimaryKey();
+      const primaryKey = model.getPrimaryKey();
       const whereCondition = {
         [foreignKey]: this[primaryKey]
       };
@@ -146,50 +151,486 @@ class Relations {
   }
 
   /**
-   * Create join query for associations
+   * Find the association an include refers to, by alias or model name
    */
-  createJoinQuery(model, includes) {
-    const QueryBuilder = require('./QueryBuilder');
-    const query = new QueryBuilder(model.connection);
-    
-    query.select('*').from(model.tableName);
+  getAssociation(model, include) {
+    const target = typeof include.model === 'string' ? include.model : include.model && include.model.name;
 
-    for (const include of includes) {
-      const association = model.associations.get(include.model);
-      
-      if (!association) {
-        throw new Error(`Association ${include.model} not found on ${model.name}`);
+    for (const association of model.associations.values()) {
+      const alias = this.getAlias(association);
+      if (include.as ? alias === include.as : association.model.name === target) {
+        return association;
       }
-
-      const joinCondition = this.buildJoinCondition(model, association, include);
-      query.leftJoin(association.model.tableName, joinCondition);
     }
 
-    return query;
+    throw new Error(`Association ${include.as || target} not found on ${model.name}`);
+  }
+
+  /**
+   * Property name an association is loaded into
+   */
+  getAlias(association) {
+    return association.as;
   }
 
   /**
-   * Build join condition
+   * Columns linking the source model (`sourceKey`) to the associated model (`targetKey`)
    */
-  buildJoinCondition(model, association, include) {
+  getKeys(model, association) {
     const { type, options } = association;
-    
+
     switch (type) {
       case 'hasMany':
       case 'hasOne':
-        const foreignKey = options.foreignKey || `${model.name.toLowerCase()}_id`;
-        const primaryKey = model.getPrimaryKey();
-        return `${model.tableName}.${primaryKey} = ${association.model.tableName}.${foreignKey}`;
-        
+        return {
+          sourceKey: model.getPrimaryKey(),
+          targetKey: options.foreignKey || `${model.name.toLowerCase()}_id`
+        };
+
       case 'belongsTo':
-        const belongsToForeignKey = options.foreignKey || `${association.model.name.toLowerCase()}_id`;
-        const belongsToPrimaryKey = association.model.getPrimaryKey();
-        return `${model.tableName}.${belongsToForeignKey} = ${association.model.tableName}.${belongsToPrimaryKey}`;
-        
+        return {
+          sourceKey: options.foreignKey || `${association.model.name.toLowerCase()}_id`,
+          targetKey: association.model.getPrimaryKey()
+        };
+
       default:
         throw new Error(`Unknown association type: ${type}`);
     }
   }
+
+  /**
+   * Find records with their associations loaded
+   *
+   * The `separate` strategy (default) runs one extra `IN (...)` query per
+   * include, which is usually faster in ClickHouse than a JOIN; the `join`
+   * strategy loads everything with a single query.
+   */
+  async findAllWithIncludes(model, options) {
+    const { include: includes, includeStrategy = 'separate', ...findOptions } = options;
+
+    // Lookups become dictGet columns on the main query
+    const lookups = includes.filter(include => this.getAssociation(model, include).type === 'lookup');
+    const include = includes.filter(include => !lookups.includes(include));
+
+    if (lookups.length > 0) {
+      const qualifier = includeStrategy === 'join' && include.length > 0 ? model.tableName : null;
+      findOptions.lookupColumns = lookups.flatMap(lookup => this.getLookupColumns(model, lookup, qualifier));
+    }
+
+    if (include.length === 0) {
+      return model.queryAll(findOptions);
+    }
+
+    if (includeStrategy === 'join') {
+      const query = this.createJoinQuery(model, include, findOptions);
+      const result = await model.runQuery(query, model.withDateFormat(findOptions));
+      return model.withSummary(this.nestJoinedRows(model, result, include), result);
+    }
+
+    if (includeStrategy !== 'separate') {
+      throw new Error(`Unknown include strategy: ${includeStrategy}`);
+    }
+
+    // Required includes filter the parents before `limit` and `offset` count them
+    const required = findOptions.limit || findOptions.offset ? this.getRequiredConditions(model, include) : [];
+    if (required.length > 0) {
+      findOptions.where = { and: [...(findOptions.where ? [findOptions.where] : []), ...required] };
+    }
+
+    const records = await model.queryAll(this.withKeys(model, findOptions, include));
+    return model.withSummary(await this.loadIncludes(model, records, include, findOptions), records);
+  }
+
+  /**
+   * dictGet select expressions for an included lookup, aliased per attribute
+   *
+   * Attributes default to every non-key attribute of the dictionary model and
+   * are aliased `<as>_<attribute>` unless given as an alias map.
+   */
+  getLookupColumns(model, include, qualifier = null) {
+    const association = this.getAssociation(model, include);
+    const as = this.getAlias(association);
+    const attributes = include.attributes || association.options.attributes || this.getDictionaryAttributes(association.model);
+
+    const pairs = Array.isArray(attributes)
+      ? attributes.map(attribute => [`${as}_${attribute}`, attribute])
+      : Object.entries(attributes);
+
+    return pairs.map(([alias, attribute]) =>
+      `${this.dictGetExpression(model, association, attribute, qualifier)} AS ${alias}`
+    );
+  }
+
+  /**
+   * Attributes of a dictionary model other than its key
+   */
+  getDictionaryAttributes(model) {
+    const key = (model.options.dictionary && model.options.dictionary.key) || model.getPrimaryKey();
+    const keys = Array.isArray(key) ? key : [key];
+    return Object.keys(model.attributes).filter(attribute => !keys.includes(attribute));
+  }
+
+  /**
+   * Build `dictGet('dict', 'attribute', key)` for a lookup association
+   */
+  dictGetExpression(model, association, attribute, qualifier = null) {
+    if (association.type !== 'lookup') {
+      throw new Error(`Association ${this.getAlias(association)} on ${model.name} is not a lookup`);
+    }
+
+    const target = association.model;
+    const dictionary = association.options.dictionary
+      || (target.options.dictionary && (target.options.dictionary.name || `${target.tableName}_dict`));
+
+    if (!dictionary) {
+      throw new Error(`Model ${target.name} is not defined as a dictionary`);
+    }
+
+    const keys = (Array.isArray(association.options.key) ? association.options.key : [association.options.key])
+      .map(key => qualifier && !key.includes('.') ? `${qualifier}.${key}` : key);
+    const key = keys.length > 1 ? `tuple(${keys.join(', ')})` : keys[0];
+    const fn = association.options.orNull ? 'dictGetOrNull' : 'dictGet';
+
+    return `${fn}('${dictionary}', '${attribute}', ${key})`;
+  }
+
+  /**
+   * Make sure selected attributes contain the columns includes are matched on
+   */
+  withKeys(model, options, includes) {
+    if (!options.attributes || options.attributes === '*') {
+      return options;
+    }
+
+    const attributes = [].concat(options.attributes);
+    for (const include of includes) {
+      const { sourceKey } = this.getKeys(model, this.getAssociation(model, include));
+      if (!attributes.includes(sourceKey)) {
+        attributes.push(sourceKey);
+      }
+    }
+
+    return { ...options, attributes };
+  }
+
+  /**
+   * Load includes with `IN (...)` queries and attach them to the records
+   *
+   * Parent keys are sent in chunks of INCLUDE_KEYS_PER_QUERY, one query each.
+   */
+  async loadIncludes(model, records, includes, options = {}) {
+    // Include queries share cancellation and settings, but get their own query_id
+    const queryOptions = QueryBuilder.queryOptions(options);
+    delete queryOptions.query_id;
+
+    let loaded = records;
+
+    for (const include of includes) {
+      const association = this.getAssociation(model, include);
+      const target = association.model;
+      const as = this.getAlias(association);
+      const { sourceKey, targetKey } = this.getKeys(model, association);
+      const many = association.type === 'hasMany';
+
+      const values = [...new Map(loaded
+        .map(record => record[sourceKey])
+        .filter(value => value !== null && value !== undefined)
+        .map(value => [String(value), value])).values()];
+
+      const attributes = include.attributes && [].concat(include.attributes);
+      if (attributes && !attributes.includes(targetKey)) {
+        attributes.push(targetKey);
+      }
+
+      // Every child of a parent comes from the same chunk, so include.orderBy still holds per parent
+      const children = [];
+      for (let start = 0; start < values.length; start += INCLUDE_KEYS_PER_QUERY) {
+        const keyCondition = { [targetKey]: values.slice(start, start + INCLUDE_KEYS_PER_QUERY) };
+
+        children.push(...await target.findAll({
+          where: include.where ? { and: [keyCondition, include.where] } : keyCondition,
+          attributes,
+          include: include.include,
+          orderBy: include.orderBy,
+          final: include.final,
+          ...queryOptions
+        }));
+      }
+
+      const groups = new Map();
+      for (const child of children) {
+        const key = String(child[targetKey]);
+        if (!groups.has(key)) {
+          groups.set(key, []);
+        }
+        groups.get(key).push(child);
+      }
+
+      for (const record of loaded) {
+        const matches = groups.get(String(record[sourceKey])) || [];
+        record[as] = many ? matches : (matches[0] || null);
+      }
+
+      if (include.required ?? Boolean(include.where)) {
+        loaded = loaded.filter(record => many ? record[as].length > 0 : record[as] !== null);
+      }
+    }
+
+    return loaded;
+  }
+
+  /**
+   * Create join query for associations
+   *
+   * Included columns are selected as `<as>__<column>` so they cannot collide
+   * with the model's own columns. Includes with `where` (or `required: true`)
+   * become INNER JOINs; otherwise LEFT JOINs with the conditions in ON.
+   * `limit` and `offset` count records of the model, so with a hasMany
+   * include they are applied in a subquery before joining.
+   */
+  createJoinQuery(model, includes, options = {}) {
+    const query = new QueryBuilder(model.connection, model);
+    const source = model.tableName;
+    const attributes = options.attributes && options.attributes !== '*'
+      ? [].concat(options.attributes)
+      : Object.keys(model.attributes);
+    const joins = [];
+
+    for (const include of includes) {
+      if (include.include) {
+        throw new Error('Nested includes require the separate include strategy');
+      }
+
+      const association = this.getAssociation(model, include);
+      const target = association.model;
+      const as = this.getAlias(association);
+      const { sourceKey, targetKey } = this.getKeys(model, association);
+      const columns = include.attributes ? [].concat(include.attributes) : Object.keys(target.attributes);
+
+      if (!attributes.includes(sourceKey)) {
+        attributes.push(sourceKey);
+      }
+      if (!columns.includes(targetKey)) {
+        columns.push(targetKey);
+      }
+
+      query.alias(as, target);
+      joins.push({ include, association, as, columns });
+    }
+
+    const limitParents = Boolean(options.limit || options.offset)
+      && joins.some(({ association }) => association.type === 'hasMany');
+
+    query.select([
+      ...attributes.map(column => `${source}.${column} AS ${column}`),
+      ...(options.lookupColumns || []),
+      ...joins.flatMap(({ as, columns }) => columns.map(column => `${as}.${column} AS ${as}__${column}`))
+    ]);
+
+    if (limitParents) {
+      query.from(this.createParentQuery(model, joins, options), source);
+      model.applySelectOptions(query, { settings: options.settings, extremes: options.extremes });
+    } else {
+      query.from(source);
+      model.applySelectOptions(query, options);
+    }
+
+    for (const { include, association, as } of joins) {
+      const joinCondition = this.buildJoinCondition(model, association, { ...include, as });
+      const required = include.required ?? Boolean(include.where);
+      const conditions = include.where
+        ? query.compileConditions(this.qualifyConditions(include.where, as))
+        : [];
+
+      if (required) {
+        query.join(association.model, joinCondition, { as });
+        conditions.forEach(condition => query.where(condition));
+      } else if (conditions.length > 0) {
+        // Filters on an optional include belong in ON, so unmatched rows are kept
+        query.leftJoin(association.model, [...query.compileJoinCondition(joinCondition), ...conditions].join(' AND '), { as });
+      } else {
+        query.leftJoin(association.model, joinCondition, { as });
+      }
+    }
+
+    if (options.where && !limitParents) {
+      query.where(this.qualifyConditions(options.where, source));
+    }
+
+    if (options.orderBy) {
+      query.orderBy(options.orderBy);
+    }
+
+    if (options.limit && !limitParents) {
+      query.limit(options.limit);
+    }
+
+    if (options.offset && !limitParents) {
+      query.offset(options.offset);
+    }
+
+    return query;
+  }
+
+  /**
+   * Subquery selecting the page of model records a join query returns
+   *
+   * Required includes become `IN (...)` filters here, so records without a
+   * match do not take up places in the page.
+   */
+  createParentQuery(model, joins, options) {
+    const query = new QueryBuilder(model.connection, model).select('*').from(model.tableName);
+    model.applySelectOptions(query, { ...options, settings: undefined, extremes: undefined });
+
+    if (options.where) {
+      query.where(options.where);
+    }
+
+    for (const condition of this.getRequiredConditions(model, joins.map(({ include }) => include))) {
+      query.where(condition);
+    }
+
+    if (options.orderBy) {
+      query.orderBy(options.orderBy);
+    }
+
+    if (options.limit) {
+      query.limit(options.limit);
+    }
+
+    if (options.offset) {
+      query.offset(options.offset);
+    }
+
+    return query;
+  }
+
+  /**
+   * `key IN (SELECT ...)` conditions keeping only records that have a match
+   * for every required include
+   */
+  getRequiredConditions(model, includes) {
+    return includes
+      .filter(include => include.required ?? Boolean(include.where))
+      .map(include => {
+        const association = this.getAssociation(model, include);
+        const { sourceKey, targetKey } = this.getKeys(model, association);
+        const matches = new QueryBuilder(model.connection, association.model)
+          .select(targetKey)
+          .from(association.model.tableName);
+
+        if (include.where) {
+          matches.where(include.where);
+        }
+
+        return { [sourceKey]: matches };
+      });
+  }
+
+  /**
+   * Prefix the fields of a conditions object with a table alias
+   */
+  qualifyConditions(conditions, alias) {
+    if (typeof conditions === 'string') {
+      return conditions;
+    }
+
+    if (Array.isArray(conditions)) {
+      return conditions.map(condition => this.qualifyConditions(condition, alias));
+    }
+
+    const qualified = {};
+    for (const [key, value] of Object.entries(conditions)) {
+      if (['and', 'or', 'not'].includes(key)) {
+        qualified[key] = this.qualifyConditions(value, alias);
+      } else {
+        qualified[key.includes('.') ? key : `${alias}.${key}`] = value;
+      }
+    }
+    return qualified;
+  }
+
+  /**
+   * Turn flat joined rows into instances with nested associations
+   *
+   * Rows are grouped by the model's primary key; hasMany includes become
+   * arrays, belongsTo/hasOne includes an instance or null.
+   */
+  nestJoinedRows(model, result, includes) {
+    const types = model.getResultTypes(result.meta);
+    const primaryKey = model.getPrimaryKey();
+    const parents = new Map();
+
+    const joins = includes.map(include => {
+      const association = this.getAssociation(model, include);
+      const as = this.getAlias(association);
+      const prefix = `${as}__`;
+      const columnTypes = new Map([...types]
+        .filter(([name]) => name.startsWith(prefix))
+        .map(([name, type]) => [name.slice(prefix.length), type]));
+
+      return { association, as, prefix, columnTypes, many: association.type === 'hasMany', ...this.getKeys(model, association) };
+    });
+
+    for (const row of result.data || []) {
+      const own = {};
+      const nested = new Map(joins.map(join => [join.as, {}]));
+
+      for (const [key, value] of Object.entries(row)) {
+        const join = joins.find(candidate => key.startsWith(candidate.prefix));
+        if (join) {
+          nested.get(join.as)[key.slice(join.prefix.length)] = value;
+        } else {
+          own[key] = value;
+        }
+      }
+
+      const parentKey = own[primaryKey] !== undefined ? String(own[primaryKey]) : JSON.stringify(own);
+      let parent = parents.get(parentKey);
+
+      if (!parent) {
+        parent = { record: model.buildFromRow(own, types), seen: new Map(joins.map(join => [join.as, new Set()])) };
+        for (const join of joins) {
+          parent.record[join.as] = join.many ? [] : null;
+        }
+        parents.set(parentKey, parent);
+      }
+
+      for (const join of joins) {
+        const values = nested.get(join.as);
+
+        // Unmatched LEFT JOIN rows carry NULL or default values in the key column
+        if (values[join.targetKey] === null || String(values[join.targetKey]) !== String(own[join.sourceKey])) {
+          continue;
+        }
+
+        const identity = JSON.stringify(values);
+        if (parent.seen.get(join.as).has(identity)) {
+          continue;
+        }
+        parent.seen.get(join.as).add(identity);
+
+        const child = join.association.model.buildFromRow(values, join.columnTypes);
+        if (join.many) {
+          parent.record[join.as].push(child);
+        } else {
+          parent.record[join.as] = child;
+        }
+      }
+    }
+
+    return [...parents.values()].map(parent => parent.record);
+  }
+
+  /**
+   * Build join condition as a `{ source: target }` column map
+   */
+  buildJoinCondition(model, association, include = {}) {
+    const { sourceKey, targetKey } = this.getKeys(model, association);
+    const target = include.as || association.model.tableName;
+
+    return { [`${model.tableName}.${sourceKey}`]: `${target}.${targetKey}` };
+  }
 }
 
 module.exports = Relations;
\ No newline at end of file
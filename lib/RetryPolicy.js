@@ -0,0 +1,79 @@
+// Network errors raised before the request reached a server
+const UNSENT_NETWORK_CODES = new Set(['ECONNREFUSED', 'EHOSTUNREACH', 'ENOTFOUND', 'EAI_AGAIN']);
+
+/**
+ * Decides whether a failed request is sent again, to the next host
+ *
+ * A request that never reached a server (connection refused, unknown host)
+ * is always safe to send elsewhere. Other retryable failures, such as
+ * timeouts or a dropped connection, may have left the statement running or
+ * applied, so they are only retried for idempotent requests: reads, and
+ * commands and inserts called with `idempotent: true` or, for inserts, an
+ * `insert_deduplication_token` setting.
+ *
+ * Options: `retries` (extra attempts, default 2), `delay` and `max_delay`
+ * (backoff in ms) and `should_retry(error, { attempt, type, options })` to
+ * replace the decision.
+ */
+class RetryPolicy {
+  constructor(options = {}) {
+    this.retries = options.retries !== undefined ? options.retries : 2;
+    this.delay = options.delay !== undefined ? options.delay : 100;
+    this.maxDelay = options.max_delay !== undefined ? options.max_delay : 2000;
+
+    if (options.should_retry) {
+      this.shouldRetry = options.should_retry;
+    }
+  }
+
+  /**
+   * Whether running the request twice has the same effect as running it once
+   */
+  isIdempotent(type, options = {}) {
+    if (options.idempotent !== undefined) {
+      return Boolean(options.idempotent);
+    }
+
+    if (type === 'query' || type === 'stream') {
+      return true;
+    }
+
+    return type === 'insert' && Boolean(options.clickhouse_settings && options.clickhouse_settings.insert_deduplication_token);
+  }
+
+  /**
+   * Whether the request never reached a server
+   */
+  isUnsent(error) {
+    return UNSENT_NETWORK_CODES.has(error.code);
+  }
+
+  /**
+   * Whether to make attempt `attempt + 1` after `error`
+   */
+  shouldRetry(error, { attempt, type, options }) {
+    if (attempt > this.retries) {
+      return false;
+    }
+
+    if (this.isUnsent(error)) {
+      return true;
+    }
+
+    return error.retryable && this.isIdempotent(type, options);
+  }
+
+  /**
+   * Milliseconds to wait before the next attempt; none when switching away
+   * from a host that could not be reached
+   */
+  getDelay(error, attempt) {
+    if (this.isUnsent(error)) {
+      return 0;
+    }
+
+    return Math.min(this.delay * 2 ** (attempt - 1), this.maxDelay);
+  }
+}
+
+module.exports = RetryPolicy;
\ No newline at end of file
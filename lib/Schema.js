@@ -1,37 +1,95 @@
 const DataTypes = require('./DataTypes');
+const Engines = require('./Engines');
+const { CODES, SchemaError, wrapError } = require('./Errors');
+
+// DDL that succeeds, without changing anything, when run a second time
+const REPEATABLE_DDL = /^\s*(CREATE (TABLE|DICTIONARY|MATERIALIZED VIEW|VIEW) IF NOT EXISTS|DROP (TABLE|DICTIONARY|VIEW) IF EXISTS|ALTER TABLE \S+( ON CLUSTER \S+)? (ADD COLUMN IF NOT EXISTS|DROP COLUMN IF EXISTS|MODIFY COLUMN \S+ (?!REMOVE )|COMMENT COLUMN)) /;
 
 /**
  * Schema management for ClickHouse
  */
 class Schema {
-  constructor(connection) {
+  constructor(connection, options = {}) {
     this.connection = connection;
+    this.cluster = options.cluster || null;
+  }
+
+  /**
+   * Cluster DDL runs on: `options.cluster`, else the model's, else the schema's
+   */
+  getCluster(model, options = {}) {
+    if (options.cluster !== undefined) {
+      return options.cluster || null;
+    }
+
+    return model ? model.getCluster() : this.cluster;
+  }
+
+  /**
+   * Cluster a materialized view's DDL runs on
+   */
+  getViewCluster(view, options = {}) {
+    const cluster = view.options.cluster !== undefined ? view.options.cluster : this.cluster;
+    return this.getCluster(null, { cluster, ...options });
+  }
+
+  /**
+   * Run a DDL statement: once when it has ON CLUSTER, otherwise on every
+   * writer so each host gets the same schema
+   *
+   * Only statements that are safe to repeat are sent to every writer; when
+   * the writers are replicas, the first ALTER has already replicated by the
+   * time the others run. Anything else runs once, on the primary writer.
+   */
+  async runDDL(sql, cluster) {
+    return this.connection.command(sql, { broadcast: !cluster && REPEATABLE_DDL.test(sql) });
   }
 
   /**
    * Create table from model
+   *
+   * With `force`, a table that already exists is skipped and the next
+   * statement (the Distributed table of a distributed model) still runs.
    */
   async createTable(model, options = {}) {
-    const sql = this.generateCreateTableSQL(model, options);
-    
-    try {
-      await this.connection.client.exec({query: sql});
-      console.log(`Table ${model.tableName} created successfully`);
-    } catch (error) {
-      if (!error.message.includes('already exists') || !options.force) {
-        throw error;
+    for (const sql of this.getCreateTableStatements(model, options)) {
+      try {
+        await this.runDDL(sql, this.getCluster(model, options));
+      } catch (error) {
+        if (error.code !== CODES.TABLE_ALREADY_EXISTS || !options.force) {
+          throw wrapError(error, `Failed to create table ${model.tableName}`, { as: SchemaError });
+        }
       }
     }
+
+    console.log(`Table ${model.tableName} created successfully`);
+  }
+
+  /**
+   * CREATE TABLE statements of a model: its table, or for a distributed
+   * model the local table followed by the Distributed table over it
+   */
+  getCreateTableStatements(model, options = {}) {
+    const sql = this.generateCreateTableSQL(model, options);
+    const distribution = model.getDistribution();
+
+    if (!distribution) {
+      return [sql];
+    }
+
+    return [sql, this.generateCreateDistributedTableSQL(model, options)];
   }
 
   /**
    * Generate CREATE TABLE SQL
+   *
+   * For a distributed model this is the local table, whose MergeTree engine
+   * is made Replicated.
    */
   generateCreateTableSQL(model, options = {}) {
     const columns = [];
     const indexes = [];
     let primaryKey = null;
-    let orderBy = null;
 
     // Process attributes
     for (const [fieldName, definition] of Object.entries(model.attributes)) {
@@ -43,21 +101,43 @@ class Schema {
       }
 
       if (definition.index) {
-        indexes.push(fieldName);
+        indexes.push(this.generateIndexDefinition({
+          name: `idx_${fieldName}`,
+          expression: fieldName,
+          ...(typeof definition.index === 'object' ? definition.index : {})
+        }));
       }
     }
 
+    for (const index of model.options.indexes || []) {
+      indexes.push(this.generateIndexDefinition(index));
+    }
+
+    const projections = (model.options.projections || [])
+      .map(projection => this.generateProjectionDefinition(projection));
+
     // Determine engine and order by
-    const engine = model.options.engine || 'MergeTree()';
-    
-    if (primaryKey) {
-      orderBy = `ORDER BY ${primaryKey}`;
-    } else if (model.options.orderBy) {
-      orderBy = `ORDER BY ${model.options.orderBy}`;
+    const distribution = model.getDistribution();
+    let engine = Engines.resolve(model.options.engine);
+    engine.validate(model);
+
+    if (distribution && engine.isMergeTree && !engine.name.startsWith('Replicated')) {
+      engine = Engines.Replicated(engine);
+    }
+
+    let orderBy;
+
+    if (model.options.orderBy) {
+      orderBy = model.options.orderBy;
+    } else if (primaryKey) {
+      orderBy = primaryKey;
     } else {
       // Default order by first column
-      const firstColumn = Object.keys(model.attributes)[0];
-      orderBy = `ORDER BY ${firstColumn}`;
+      orderBy = Object.keys(model.attributes)[0];
+    }
+
+    if (engine.isMergeTree && model.options.primaryKey) {
+      this.validatePrimaryKey(model, model.options.primaryKey, orderBy);
     }
 
     let sql = `CREATE TABLE`;
@@ -66,12 +146,13 @@ class Schema {
       sql += ` IF NOT EXISTS`;
     }
 
-    sql += ` ${model.tableName} (\n`;
-    sql += `  ${columns.join(',\n  ')}\n`;
+    sql += ` ${model.getStorageTable()}${onCluster(this.getCluster(model, options))} (\n`;
+    sql += `  ${[...columns, ...indexes, ...projections].join(',\n  ')}\n`;
     sql += `) ENGINE = ${engine}`;
-    
-    if (orderBy) {
-      sql += `\n${orderBy}`;
+
+    // Sorting, partitioning and TTL only apply to the MergeTree family
+    if (engine.isMergeTree) {
+      sql += this.generateMergeTreeClauses(model, orderBy);
     }
 
     // Add settings if provided
@@ -85,30 +166,156 @@ class Schema {
     return sql;
   }
 
+  /**
+   * Generate CREATE TABLE SQL for the Distributed table of a distributed model
+   */
+  generateCreateDistributedTableSQL(model, options = {}) {
+    const { cluster, localTable, shardingKey } = model.getDistribution();
+    const engine = Engines.Distributed(cluster, null, localTable, shardingKey);
+
+    let sql = 'CREATE TABLE';
+
+    if (options.ifNotExists !== false) {
+      sql += ' IF NOT EXISTS';
+    }
+
+    sql += ` ${model.tableName}${onCluster(this.getCluster(model, options))} AS ${localTable}`;
+    sql += `\nENGINE = ${engine}`;
+
+    return sql;
+  }
+
+  /**
+   * Generate ORDER BY, PARTITION BY, PRIMARY KEY, SAMPLE BY and TTL clauses
+   */
+  generateMergeTreeClauses(model, orderBy) {
+    let sql = `\nORDER BY ${this.formatExpressionList(orderBy)}`;
+
+    if (model.options.partitionBy) {
+      sql += `\nPARTITION BY ${model.options.partitionBy}`;
+    }
+
+    if (model.options.primaryKey) {
+      sql += `\nPRIMARY KEY ${this.formatExpressionList(model.options.primaryKey)}`;
+    }
+
+    if (model.options.sampleBy) {
+      sql += `\nSAMPLE BY ${model.options.sampleBy}`;
+    }
+
+    if (model.options.ttl) {
+      sql += `\nTTL ${this.formatTTL(model.options.ttl)}`;
+    }
+
+    return sql;
+  }
+
+  /**
+   * Format one expression or a list of expressions as a key tuple
+   */
+  formatExpressionList(value) {
+    if (!Array.isArray(value)) {
+      return value;
+    }
+
+    if (value.length === 0) {
+      return 'tuple()';
+    }
+
+    return value.length === 1 ? value[0] : `(${value.join(', ')})`;
+  }
+
+  /**
+   * PRIMARY KEY must be a prefix of ORDER BY
+   */
+  validatePrimaryKey(model, primaryKey, orderBy) {
+    const keys = Array.isArray(primaryKey) ? primaryKey : [primaryKey];
+    const order = Array.isArray(orderBy) ? orderBy : [orderBy];
+
+    keys.forEach((key, position) => {
+      if (order[position] !== key) {
+        throw new SchemaError(`Primary key of ${model.name} must be a prefix of its ORDER BY (${order.join(', ')})`);
+      }
+    });
+  }
+
+  /**
+   * Format table-level TTL rules
+   *
+   * Each rule is a raw string or `{ expression, delete, toVolume, toDisk, where }`.
+   */
+  formatTTL(ttl) {
+    const rules = Array.isArray(ttl) ? ttl : [ttl];
+
+    return rules.map(rule => {
+      if (typeof rule === 'string') {
+        return rule;
+      }
+
+      let sql = rule.expression;
+
+      if (rule.toVolume) {
+        sql += ` TO VOLUME ${this.quote(rule.toVolume)}`;
+      } else if (rule.toDisk) {
+        sql += ` TO DISK ${this.quote(rule.toDisk)}`;
+      } else if (rule.delete) {
+        sql += ' DELETE';
+      }
+
+      if (rule.where) {
+        sql += ` WHERE ${rule.where}`;
+      }
+
+      return sql;
+    }).join(', ');
+  }
+
+  /**
+   * Generate a data-skipping index definition
+   */
+  generateIndexDefinition(index) {
+    if (!index.name || !index.expression) {
+      throw new SchemaError('Index definitions require a name and an expression');
+    }
+
+    return `INDEX ${index.name} ${index.expression} TYPE ${index.type || 'minmax'} GRANULARITY ${index.granularity || 1}`;
+  }
+
+  /**
+   * Generate a projection definition
+   *
+   * `query` is a SQL string or a QueryBuilder without a table.
+   */
+  generateProjectionDefinition(projection) {
+    if (!projection.name || !projection.query) {
+      throw new SchemaError('Projection definitions require a name and a query');
+    }
+
+    const query = typeof projection.query === 'string' ? projection.query : projection.query.toInlineSQL();
+    return `PROJECTION ${projection.name} (${query})`;
+  }
+
   /**
    * Generate column definition
    */
   generateColumnDefinition(fieldName, definition) {
     let sql = `${fieldName} `;
 
-    // Handle different definition formats
-    if (typeof definition === 'string') {
-      sql += definition;
+    // Handle different definition formats; type builders may be passed
+    // uncalled, e.g. DataTypes.DateTime
+    if (typeof definition === 'string' || typeof definition === 'function') {
+      sql += String(definition);
     } else if (typeof definition === 'object') {
       // Data type
       if (definition.type) {
-        sql += definition.type;
+        sql += String(definition.type);
       } else {
-        throw new Error(`Data type is required for field ${fieldName}`);
+        throw new SchemaError(`Data type is required for field ${fieldName}`);
       }
 
-      // Default value
-      if (definition.defaultValue !== undefined) {
-        if (typeof definition.defaultValue === 'string') {
-          sql += ` DEFAULT '${definition.defaultValue}'`;
-        } else {
-          sql += ` DEFAULT ${definition.defaultValue}`;
-        }
+      // Default value (function defaults are applied client-side only)
+      if (definition.defaultValue !== undefined && typeof definition.defaultValue !== 'function') {
+        sql += ` DEFAULT ${this.formatDefault(definition.defaultValue)}`;
       }
 
       // Codec
@@ -116,15 +323,280 @@ class Schema {
         sql += ` CODEC(${definition.codec})`;
       }
 
+      // Column TTL
+      if (definition.ttl) {
+        sql += ` TTL ${definition.ttl}`;
+      }
+
       // Comment
       if (definition.comment) {
-        sql += ` COMMENT '${definition.comment}'`;
+        sql += ` COMMENT ${this.quote(definition.comment)}`;
       }
     }
 
     return sql;
   }
 
+  /**
+   * Format a default value as a SQL expression
+   */
+  formatDefault(value) {
+    return typeof value === 'string' ? this.quote(value) : `${value}`;
+  }
+
+  /**
+   * Quote a string literal
+   */
+  quote(value) {
+    return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+  }
+
+  /**
+   * Create a dictionary from a model with a `dictionary` option
+   */
+  async createDictionary(model, options = {}) {
+    const sql = this.generateCreateDictionarySQL(model, options);
+
+    try {
+      await this.runDDL(sql, this.getCluster(model, options));
+      console.log(`Dictionary ${this.getDictionaryName(model)} created successfully`);
+    } catch (error) {
+      throw wrapError(error, `Failed to create dictionary ${this.getDictionaryName(model)}`, { as: SchemaError });
+    }
+  }
+
+  /**
+   * Name of the dictionary built from a model
+   */
+  getDictionaryName(model) {
+    const dictionary = model.options.dictionary || {};
+    return dictionary.name || `${model.tableName}_dict`;
+  }
+
+  /**
+   * Generate CREATE DICTIONARY SQL
+   *
+   * The `dictionary` model option takes `name`, `key` (a column or a list of
+   * columns for complex keys), `source` (defaults to the model's own table),
+   * `layout` (default `hashed`, or `complex_key_hashed` for complex keys) and
+   * `lifetime` (seconds, or `{ min, max }`).
+   */
+  generateCreateDictionarySQL(model, options = {}) {
+    const dictionary = model.options.dictionary;
+
+    if (!dictionary) {
+      throw new SchemaError(`Model ${model.name} has no dictionary option`);
+    }
+
+    const key = dictionary.key || model.getPrimaryKey();
+    const keys = Array.isArray(key) ? key : [key];
+
+    for (const column of keys) {
+      if (!(column in model.attributes)) {
+        throw new SchemaError(`Dictionary key "${column}" is not an attribute of ${model.name}`);
+      }
+    }
+
+    const columns = Object.entries(model.attributes).map(([fieldName, definition]) => {
+      const attribute = typeof definition === 'string' ? { type: definition } : definition;
+      let sql = `${fieldName} ${attribute.type}`;
+
+      if (attribute.defaultValue !== undefined && typeof attribute.defaultValue !== 'function' && !keys.includes(fieldName)) {
+        sql += ` DEFAULT ${this.formatDefault(attribute.defaultValue)}`;
+      }
+
+      if (attribute.hierarchical) {
+        sql += ' HIERARCHICAL';
+      }
+
+      if (attribute.injective) {
+        sql += ' INJECTIVE';
+      }
+
+      return sql;
+    });
+
+    const layout = dictionary.layout || (keys.length > 1 ? 'complex_key_hashed' : 'hashed');
+    const source = dictionary.source || { type: 'clickhouse', table: model.tableName };
+    const lifetime = dictionary.lifetime === undefined ? { min: 300, max: 360 } : dictionary.lifetime;
+
+    let sql = 'CREATE DICTIONARY';
+
+    if (options.ifNotExists !== false) {
+      sql += ' IF NOT EXISTS';
+    }
+
+    sql += ` ${this.getDictionaryName(model)}${onCluster(this.getCluster(model, options))} (\n`;
+    sql += `  ${columns.join(',\n  ')}\n`;
+    sql += `)\nPRIMARY KEY ${keys.join(', ')}`;
+    sql += `\nSOURCE(${this.formatDictionaryClause(source)})`;
+    sql += `\nLAYOUT(${this.formatDictionaryClause(layout)})`;
+    sql += `\nLIFETIME(${typeof lifetime === 'object' ? `MIN ${lifetime.min} MAX ${lifetime.max}` : lifetime})`;
+
+    if (dictionary.range) {
+      sql += `\nRANGE(MIN ${dictionary.range.min} MAX ${dictionary.range.max})`;
+    }
+
+    return sql;
+  }
+
+  /**
+   * Format a SOURCE or LAYOUT clause
+   *
+   * `'hashed'` becomes `HASHED()`, `{ type: 'clickhouse', table: 'x' }`
+   * becomes `CLICKHOUSE(TABLE 'x')`; raw strings containing `(` are kept.
+   */
+  formatDictionaryClause(value) {
+    if (typeof value === 'string') {
+      return value.includes('(') ? value : `${value.toUpperCase()}()`;
+    }
+
+    const { type, ...params } = value;
+    const args = Object.entries(params)
+      .map(([name, param]) => `${name.toUpperCase()} ${typeof param === 'string' ? this.quote(param) : param}`)
+      .join(' ');
+
+    return `${type.toUpperCase()}(${args})`;
+  }
+
+  /**
+   * Drop dictionary
+   */
+  async dropDictionary(name, options = {}) {
+    let sql = 'DROP DICTIONARY';
+
+    if (options.ifExists !== false) {
+      sql += ' IF EXISTS';
+    }
+
+    sql += ` ${name}${onCluster(this.getCluster(null, options))}`;
+
+    try {
+      await this.runDDL(sql, this.getCluster(null, options));
+      console.log(`Dictionary ${name} dropped successfully`);
+    } catch (error) {
+      throw wrapError(error, `Failed to drop dictionary ${name}`, { as: SchemaError });
+    }
+  }
+
+  /**
+   * Create a materialized view
+   *
+   * With `populate` the view is backfilled from its source when it is first
+   * created: through POPULATE for views with an inner table, or with an
+   * INSERT ... SELECT into the `to` table. `populate: { column }` limits that
+   * INSERT to source rows whose `column` is older than the server time read
+   * before the view was created, so rows the view already receives are not
+   * copied again. Returns the statements run.
+   */
+  async createMaterializedView(view, options = {}) {
+    const populate = options.populate !== undefined ? options.populate : view.options.populate;
+    const backfill = Boolean(populate) && !(await this.tableExists(view.name));
+    const cutoff = backfill && view.getTarget() && populate.column ? await this.getServerTime() : undefined;
+    const statements = this.generateCreateMaterializedViewSQL(view, { ...options, populate: backfill && populate, cutoff });
+
+    try {
+      const [create, ...backfills] = statements;
+      await this.runDDL(create, this.getViewCluster(view, options));
+
+      // The backfill copies data, so it runs once
+      for (const sql of backfills) {
+        await this.connection.command(sql);
+      }
+      console.log(`Materialized view ${view.name} created successfully`);
+    } catch (error) {
+      throw wrapError(error, `Failed to create materialized view ${view.name}`, { as: SchemaError });
+    }
+
+    return statements;
+  }
+
+  /**
+   * Current server time in unix milliseconds
+   */
+  async getServerTime() {
+    const result = await this.connection.query('SELECT toUnixTimestamp64Milli(now64(3)) AS now', { route: 'primary' });
+    return Number(result.data[0].now);
+  }
+
+  /**
+   * Generate CREATE MATERIALIZED VIEW SQL, followed by the backfill INSERT
+   * when `populate` is set on a view with a `to` table
+   *
+   * `options.cutoff` bounds the backfill of `populate: { column }`.
+   */
+  generateCreateMaterializedViewSQL(view, options = {}) {
+    const populate = options.populate !== undefined ? options.populate : view.options.populate;
+    const target = view.getTarget();
+    const select = view.getSelectSQL();
+
+    let sql = 'CREATE MATERIALIZED VIEW';
+
+    if (options.ifNotExists !== false) {
+      sql += ' IF NOT EXISTS';
+    }
+
+    sql += ` ${view.name}${onCluster(this.getViewCluster(view, options))}`;
+
+    if (target) {
+      sql += ` TO ${target}`;
+    }
+
+    const columns = view.options.columns;
+
+    if (columns && !Array.isArray(columns)) {
+      const definitions = Object.entries(columns)
+        .map(([fieldName, definition]) => this.generateColumnDefinition(fieldName, definition));
+      sql += ` (\n  ${definitions.join(',\n  ')}\n)`;
+    }
+
+    if (!target) {
+      const engine = Engines.resolve(view.options.engine);
+      sql += `\nENGINE = ${engine}`;
+
+      if (engine.isMergeTree) {
+        sql += this.generateMergeTreeClauses(view, view.options.orderBy || []);
+      }
+
+      // POPULATE is only allowed for views with an inner table
+      if (populate) {
+        sql += '\nPOPULATE';
+      }
+    }
+
+    sql += `\nAS ${select}`;
+
+    if (!populate || !target) {
+      return [sql];
+    }
+
+    const insertColumns = view.getColumns();
+    const backfill = view.getBackfillSQL(populate.column, options.cutoff !== undefined ? options.cutoff : Date.now());
+    const insert = `INSERT INTO ${target}${insertColumns ? ` (${insertColumns.join(', ')})` : ''} ${backfill}`;
+
+    return [sql, insert];
+  }
+
+  /**
+   * Drop view
+   */
+  async dropView(name, options = {}) {
+    let sql = 'DROP VIEW';
+
+    if (options.ifExists !== false) {
+      sql += ' IF EXISTS';
+    }
+
+    sql += ` ${name}${onCluster(this.getCluster(null, options))}`;
+
+    try {
+      await this.runDDL(sql, this.getCluster(null, options));
+      console.log(`View ${name} dropped successfully`);
+    } catch (error) {
+      throw wrapError(error, `Failed to drop view ${name}`, { as: SchemaError });
+    }
+  }
+
   /**
    * Drop table
    */
@@ -135,13 +607,13 @@ class Schema {
       sql += ` IF EXISTS`;
     }
     
-    sql += ` ${tableName}`;
+    sql += ` ${tableName}${onCluster(this.getCluster(null, options))}`;
 
     try {
-      await this.connection.query(sql);
+      await this.runDDL(sql, this.getCluster(null, options));
       console.log(`Table ${tableName} dropped successfully`);
     } catch (error) {
-      throw new Error(`Failed to drop table ${tableName}: ${error.message}`);
+      throw wrapError(error, `Failed to drop table ${tableName}`, { as: SchemaError });
     }
   }
 
@@ -152,11 +624,11 @@ class Schema {
     const sql = `
       SELECT COUNT(*) as count 
       FROM system.tables 
-      WHERE name = '${tableName}'
+      WHERE database = currentDatabase() AND name = {table:String}
     `;
     
-    const result = await this.connection.query(sql);
-    return result.data[0]?.count > 0;
+    const result = await this.connection.query(sql, { params: { table: tableName }, route: 'primary' });
+    return Number(result.data[0]?.count) > 0;
   }
 
   /**
@@ -164,38 +636,240 @@ class Schema {
    */
   async describeTable(tableName) {
     const sql = `DESCRIBE TABLE ${tableName}`;
-    const result = await this.connection.query(sql);
+    const result = await this.connection.query(sql, { route: 'primary' });
     return result.data || [];
   }
 
+  /**
+   * Read column definitions from system.columns
+   */
+  async getColumns(tableName) {
+    const sql = `
+      SELECT name, type, default_kind, default_expression, compression_codec, comment
+      FROM system.columns
+      WHERE database = currentDatabase() AND table = {table:String}
+      ORDER BY position
+    `;
+
+    const result = await this.connection.query(sql, { params: { table: tableName }, route: 'primary' });
+    return result.data || [];
+  }
+
+  /**
+   * Compare a model with its existing table and list the ALTER statements needed
+   *
+   * Columns missing from the model are only dropped with `options.drop`.
+   * `options.table` names the table to alter, by default the model's.
+   */
+  diffTable(model, columns, options = {}) {
+    const statements = [];
+    const existing = new Map(columns.map(column => [column.name, column]));
+    const table = `${options.table || model.tableName}${onCluster(this.getCluster(model, options))}`;
+    let previous = null;
+
+    for (const [fieldName, definition] of Object.entries(model.attributes)) {
+      const column = existing.get(fieldName);
+      const attribute = typeof definition === 'string' ? { type: definition } : definition;
+
+      // Nested columns are reported flattened, one `name.element` array per element
+      if (!column && this.isFlattenedNested(fieldName, attribute.type, existing)) {
+        const nested = this.diffNested(table, fieldName, attribute.type, existing, options);
+        statements.push(...nested.statements);
+        previous = nested.last;
+        continue;
+      }
+
+      if (!column) {
+        const position = previous ? ` AFTER ${previous}` : ' FIRST';
+        statements.push(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS ${this.generateColumnDefinition(fieldName, definition)}${position}`);
+      } else {
+        statements.push(...this.diffColumn(table, fieldName, attribute, column));
+      }
+
+      previous = fieldName;
+    }
+
+    if (options.drop) {
+      for (const name of existing.keys()) {
+        // Subcolumns of Nested attributes are diffed with their attribute
+        if (!(name in model.attributes) && !this.isNestedAttribute(model, name.split('.')[0])) {
+          statements.push(`ALTER TABLE ${table} DROP COLUMN IF EXISTS ${name}`);
+        }
+      }
+    }
+
+    return statements;
+  }
+
+  /**
+   * Compare a Nested attribute with its flattened `name.element` columns
+   *
+   * Returns the statements and the last element column, for positioning
+   * the columns that follow.
+   */
+  diffNested(table, fieldName, type, existing, options = {}) {
+    const statements = [];
+    const names = [];
+    let previous = null;
+
+    for (const { field, ...element } of DataTypes.parse(type).args) {
+      const name = `${fieldName}.${field}`;
+      const expected = `Array(${DataTypes.format(element)})`;
+      const column = existing.get(name);
+
+      if (!column) {
+        statements.push(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS ${name} ${expected}${previous ? ` AFTER ${previous}` : ''}`);
+      } else if (DataTypes.normalize(expected) !== DataTypes.normalize(column.type)) {
+        statements.push(`ALTER TABLE ${table} MODIFY COLUMN ${name} ${expected}`);
+      }
+
+      names.push(name);
+      previous = name;
+    }
+
+    if (options.drop) {
+      for (const name of existing.keys()) {
+        if (name.startsWith(`${fieldName}.`) && !names.includes(name)) {
+          statements.push(`ALTER TABLE ${table} DROP COLUMN IF EXISTS ${name}`);
+        }
+      }
+    }
+
+    return { statements, last: previous };
+  }
+
+  /**
+   * Whether a model attribute is a Nested type
+   */
+  isNestedAttribute(model, fieldName) {
+    const definition = model.attributes[fieldName];
+    if (!definition) {
+      return false;
+    }
+
+    return DataTypes.parse(typeof definition === 'string' ? definition : definition.type).name === 'Nested';
+  }
+
+  /**
+   * Whether a Nested attribute exists as flattened `name.element` columns
+   */
+  isFlattenedNested(fieldName, type, existing) {
+    const node = DataTypes.parse(type);
+    return node.name === 'Nested' && node.args.some(element => existing.has(`${fieldName}.${element.field}`));
+  }
+
+  /**
+   * Compare one attribute with its system.columns row
+   */
+  diffColumn(table, fieldName, attribute, column) {
+    const typeChanged = DataTypes.normalize(attribute.type) !== DataTypes.normalize(column.type);
+
+    const expectedDefault = attribute.defaultValue !== undefined && typeof attribute.defaultValue !== 'function'
+      ? this.formatDefault(attribute.defaultValue)
+      : '';
+    const actualDefault = column.default_kind === 'DEFAULT' ? column.default_expression : '';
+    const defaultChanged = normalize(expectedDefault) !== normalize(actualDefault);
+
+    const expectedCodec = attribute.codec ? `CODEC(${attribute.codec})` : '';
+    const codecChanged = normalizeCodec(expectedCodec) !== normalizeCodec(column.compression_codec);
+
+    const commentChanged = (attribute.comment || '') !== (column.comment || '');
+
+    if (typeChanged || codecChanged || (defaultChanged && expectedDefault)) {
+      return [`ALTER TABLE ${table} MODIFY COLUMN ${this.generateColumnDefinition(fieldName, attribute)}`];
+    }
+
+    const statements = [];
+
+    if (defaultChanged) {
+      statements.push(`ALTER TABLE ${table} MODIFY COLUMN ${fieldName} REMOVE DEFAULT`);
+    }
+
+    if (commentChanged) {
+      statements.push(`ALTER TABLE ${table} COMMENT COLUMN ${fieldName} ${this.quote(attribute.comment || '')}`);
+    }
+
+    return statements;
+  }
+
+  /**
+   * Bring an existing table in line with its model, creating it if missing
+   *
+   * Distributed models have both their local and Distributed tables altered.
+   * Returns the statements; with `options.dryRun` they are not executed.
+   */
+  async alterTable(model, options = {}) {
+    const distribution = model.getDistribution();
+    const tables = distribution ? [distribution.localTable, model.tableName] : [model.tableName];
+    const creates = this.getCreateTableStatements(model, options);
+    const statements = [];
+
+    for (const [position, table] of tables.entries()) {
+      if (await this.tableExists(table)) {
+        statements.push(...this.diffTable(model, await this.getColumns(table), { ...options, table }));
+      } else {
+        statements.push(creates[position]);
+      }
+    }
+
+    if (!options.dryRun) {
+      for (const sql of statements) {
+        await this.runDDL(sql, this.getCluster(model, options));
+      }
+    }
+
+    return statements;
+  }
+
   /**
    * Add column to table
    */
-  async addColumn(tableName, columnName, definition) {
+  async addColumn(tableName, columnName, definition, options = {}) {
     const columnDef = this.generateColumnDefinition(columnName, definition);
-    const sql = `ALTER TABLE ${tableName} ADD COLUMN ${columnDef}`;
+    const sql = `ALTER TABLE ${tableName}${onCluster(this.getCluster(null, options))} ADD COLUMN IF NOT EXISTS ${columnDef}`;
     
     try {
-      await this.connection.query(sql);
+      await this.runDDL(sql, this.getCluster(null, options));
       console.log(`Column ${columnName} added to ${tableName}`);
     } catch (error) {
-      throw new Error(`Failed to add column: ${error.message}`);
+      throw wrapError(error, 'Failed to add column', { as: SchemaError });
     }
   }
 
   /**
    * Drop column from table
    */
-  async dropColumn(tableName, columnName) {
-    const sql = `ALTER TABLE ${tableName} DROP COLUMN ${columnName}`;
+  async dropColumn(tableName, columnName, options = {}) {
+    const sql = `ALTER TABLE ${tableName}${onCluster(this.getCluster(null, options))} DROP COLUMN IF EXISTS ${columnName}`;
     
     try {
-      await this.connection.query(sql);
+      await this.runDDL(sql, this.getCluster(null, options));
       console.log(`Column ${columnName} dropped from ${tableName}`);
     } catch (error) {
-      throw new Error(`Failed to drop column: ${error.message}`);
+      throw wrapError(error, 'Failed to drop column', { as: SchemaError });
     }
   }
 }
 
+/**
+ * ON CLUSTER clause, empty without a cluster
+ */
+function onCluster(cluster) {
+  return cluster ? ` ON CLUSTER ${cluster}` : '';
+}
+
+/**
+ * Whitespace-insensitive form of a type or expression for comparison
+ */
+function normalize(value) {
+  return String(value || '').replace(/\s+/g, '');
+}
+
+/**
+ * Normalize a codec clause; ClickHouse reports `ZSTD` as `ZSTD(1)`
+ */
+function normalizeCodec(value) {
+  return normalize(value).replace(/ZSTD(?!\()/g, 'ZSTD(1)');
+}
+
 module.exports = Schema;
\ No newline at end of file
@@ -0,0 +1,270 @@
+/**
+ * Parser for ClickHouse type expressions
+ *
+ * `parseType('Nullable(DateTime64(3, \'UTC\'))')` returns a tree of
+ * `{ name, args }` nodes. Arguments are nested type nodes (named tuple and
+ * Nested elements carry a `field`), numbers, strings, enum members
+ * `{ label, value }` or settings `{ setting, value }`.
+ */
+
+const TOKEN = /\s*(?:('(?:[^'\\]|\\.)*')|(`(?:[^`\\]|\\.)*`)|(-?\d+(?:\.\d+)?(?:[eE][-+]?\d+)?)|([A-Za-z_][\w.]*)|([(),=]))/y;
+
+const DECIMAL_PRECISIONS = {
+  Decimal32: 9,
+  Decimal64: 18,
+  Decimal128: 38,
+  Decimal256: 76
+};
+
+const ALIASES = {
+  Boolean: 'Bool',
+  BOOL: 'Bool',
+  BOOLEAN: 'Bool'
+};
+
+const cache = new Map();
+
+/**
+ * Split a type expression into tokens
+ */
+function tokenize(type) {
+  const source = type.trimEnd();
+  const tokens = [];
+  TOKEN.lastIndex = 0;
+
+  while (TOKEN.lastIndex < source.length) {
+    const position = TOKEN.lastIndex;
+    const match = TOKEN.exec(source);
+
+    if (!match) {
+      throw new Error(`Unexpected character in type "${source}" at position ${position}`);
+    }
+
+    if (match[1] !== undefined) {
+      tokens.push({ kind: 'string', value: match[1].slice(1, -1).replace(/\\(.)/g, '$1') });
+    } else if (match[2] !== undefined) {
+      tokens.push({ kind: 'identifier', value: match[2].slice(1, -1).replace(/\\(.)/g, '$1') });
+    } else if (match[3] !== undefined) {
+      tokens.push({ kind: 'number', value: Number(match[3]) });
+    } else if (match[4] !== undefined) {
+      tokens.push({ kind: 'identifier', value: match[4] });
+    } else {
+      tokens.push({ kind: match[5] });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Recursive descent over the token list
+ */
+class Parser {
+  constructor(source) {
+    this.source = source;
+    this.tokens = tokenize(source);
+    this.position = 0;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.position + offset];
+  }
+
+  next() {
+    return this.tokens[this.position++];
+  }
+
+  expect(kind) {
+    const token = this.next();
+
+    if (!token || token.kind !== kind) {
+      throw new Error(`Invalid type "${this.source}": expected ${kind}`);
+    }
+
+    return token;
+  }
+
+  parse() {
+    const node = this.parseType();
+
+    if (this.position < this.tokens.length) {
+      throw new Error(`Invalid type "${this.source}": unexpected trailing input`);
+    }
+
+    return node;
+  }
+
+  parseType() {
+    const node = { name: this.expect('identifier').value, args: [] };
+
+    if (this.peek() && this.peek().kind === '(') {
+      this.next();
+
+      while (this.peek() && this.peek().kind !== ')') {
+        node.args.push(this.parseArgument());
+
+        if (this.peek() && this.peek().kind === ',') {
+          this.next();
+        }
+      }
+
+      this.expect(')');
+    }
+
+    return node;
+  }
+
+  parseArgument() {
+    const token = this.peek();
+
+    if (!token) {
+      throw new Error(`Invalid type "${this.source}": unexpected end`);
+    }
+
+    if (token.kind === 'number') {
+      return this.next().value;
+    }
+
+    if (token.kind === 'string') {
+      this.next();
+
+      // Enum member: 'name' = 1
+      if (this.peek() && this.peek().kind === '=') {
+        this.next();
+        return { label: token.value, value: this.expect('number').value };
+      }
+
+      return token.value;
+    }
+
+    const following = this.peek(1);
+
+    // Setting such as max_types=10
+    if (following && following.kind === '=') {
+      this.next();
+      this.next();
+      return { setting: token.value, value: this.next().value };
+    }
+
+    // Named element such as `id UInt64` in Tuple or Nested
+    if (following && following.kind === 'identifier') {
+      this.next();
+      return { field: token.value, ...this.parseType() };
+    }
+
+    return this.parseType();
+  }
+}
+
+/**
+ * Parse a type expression into a node tree (cached; nodes must not be mutated)
+ */
+function parseType(value) {
+  if (typeof value === 'object') {
+    return value;
+  }
+
+  // Builders used uncalled, such as DataTypes.DateTime, format themselves
+  const type = String(value);
+  let node = cache.get(type);
+
+  if (!node) {
+    node = new Parser(type).parse();
+    cache.set(type, node);
+  }
+
+  return node;
+}
+
+/**
+ * Format a node tree back into a type expression
+ */
+function formatType(node) {
+  if (typeof node === 'string') {
+    return node;
+  }
+
+  const args = node.args.map(formatArgument);
+  const type = args.length > 0 ? `${node.name}(${args.join(', ')})` : node.name;
+
+  if (!node.field) {
+    return type;
+  }
+
+  const field = /^[A-Za-z_][\w.]*$/.test(node.field) ? node.field : `\`${node.field}\``;
+  return `${field} ${type}`;
+}
+
+function formatArgument(arg) {
+  if (typeof arg === 'number') {
+    return String(arg);
+  }
+
+  if (typeof arg === 'string') {
+    return quote(arg);
+  }
+
+  if (arg.label !== undefined) {
+    return `${quote(arg.label)} = ${arg.value}`;
+  }
+
+  if (arg.setting !== undefined) {
+    return `${arg.setting}=${arg.value}`;
+  }
+
+  return formatType(arg);
+}
+
+function quote(value) {
+  return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+/**
+ * Strip Nullable and LowCardinality wrappers
+ */
+function unwrapType(type) {
+  let node = parseType(type);
+
+  while ((node.name === 'Nullable' || node.name === 'LowCardinality') && node.args.length === 1) {
+    node = node.args[0];
+  }
+
+  return node;
+}
+
+/**
+ * Canonical spelling of a type, as ClickHouse reports it in system.columns
+ *
+ * Resolves aliases such as Boolean and expands Decimal32(S) style types to
+ * Decimal(P, S), so declared and reported types compare equal.
+ */
+function normalizeType(type) {
+  return formatType(canonicalize(parseType(type)));
+}
+
+function canonicalize(node) {
+  if (typeof node !== 'object' || node.label !== undefined || node.setting !== undefined) {
+    return node;
+  }
+
+  const args = node.args.map(canonicalize);
+  const name = ALIASES[node.name] || node.name;
+
+  if (DECIMAL_PRECISIONS[name]) {
+    return { ...node, name: 'Decimal', args: [DECIMAL_PRECISIONS[name], args[0]] };
+  }
+
+  if (name === 'Decimal' && args.length === 1) {
+    return { ...node, name, args: [args[0], 0] };
+  }
+
+  return { ...node, name, args };
+}
+
+module.exports = {
+  parseType,
+  formatType,
+  unwrapType,
+  normalizeType,
+  DECIMAL_PRECISIONS
+};
\ No newline at end of file
@@ -0,0 +1,408 @@
+const net = require('net');
+const { Literal } = require('./Literals');
+const { ValidationError } = require('./Errors');
+const DataTypes = require('./DataTypes');
+const { parseType, formatType, DECIMAL_PRECISIONS } = require('./TypeParser');
+
+const INTEGER_RANGES = {
+  UInt8: [0n, 255n],
+  UInt16: [0n, 65535n],
+  UInt32: [0n, 4294967295n],
+  UInt64: [0n, 2n ** 64n - 1n],
+  UInt128: [0n, 2n ** 128n - 1n],
+  UInt256: [0n, 2n ** 256n - 1n],
+  Int8: [-128n, 127n],
+  Int16: [-32768n, 32767n],
+  Int32: [-2147483648n, 2147483647n],
+  Int64: [-(2n ** 63n), 2n ** 63n - 1n],
+  Int128: [-(2n ** 127n), 2n ** 127n - 1n],
+  Int256: [-(2n ** 255n), 2n ** 255n - 1n]
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Validates and coerces rows against a model's attributes before insert
+ *
+ * Attribute options used: `type`, `allowNull`, `defaultValue` (a value or a
+ * function; SQL literals are left to the server) and `validate` (a function
+ * or an object of named functions that throw or return false/a message).
+ */
+class Validator {
+  constructor(model) {
+    this.model = model;
+  }
+
+  /**
+   * Validate a batch; returns coerced copies or throws a ValidationError
+   */
+  validate(rows) {
+    const errors = [];
+    const coerced = rows.map((row, index) => this.validateRow(row, index, errors));
+
+    if (errors.length > 0) {
+      throw new ValidationError(this.model.name, errors);
+    }
+
+    return coerced;
+  }
+
+  /**
+   * Validate a single row, collecting problems into `errors`
+   */
+  validateRow(row, index, errors) {
+    const result = {};
+
+    for (const field of Object.keys(row)) {
+      if (!(field in this.model.attributes)) {
+        errors.push({ row: index, field, value: row[field], message: `is not an attribute of ${this.model.name}` });
+      }
+    }
+
+    for (const [field, definition] of Object.entries(this.model.attributes)) {
+      const attribute = typeof definition === 'string' ? { type: definition } : definition;
+      let value = row[field];
+
+      if (value === undefined && attribute.defaultValue !== undefined && !(attribute.defaultValue instanceof Literal)) {
+        value = typeof attribute.defaultValue === 'function' ? attribute.defaultValue(row) : attribute.defaultValue;
+      }
+
+      // Missing values are filled in by the server
+      if (value === undefined) {
+        if (attribute.allowNull === false && !(attribute.defaultValue instanceof Literal)) {
+          errors.push({ row: index, field, value, message: 'is required' });
+        }
+        continue;
+      }
+
+      try {
+        value = this.coerce(attribute.type, value, attribute);
+        this.runCustomValidators(attribute, value, row);
+        result[field] = value;
+      } catch (error) {
+        errors.push({ row: index, field, value: row[field], message: error.message });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Run the attribute's `validate` function(s)
+   */
+  runCustomValidators(attribute, value, row) {
+    if (!attribute.validate) {
+      return;
+    }
+
+    const validators = typeof attribute.validate === 'function'
+      ? { validate: attribute.validate }
+      : attribute.validate;
+
+    for (const [name, validator] of Object.entries(validators)) {
+      const outcome = validator(value, row);
+      if (outcome === false) {
+        throw new Error(`failed validator ${name}`);
+      }
+      if (typeof outcome === 'string') {
+        throw new Error(outcome);
+      }
+    }
+  }
+
+  /**
+   * Check a value against a ClickHouse type and convert it for insertion
+   */
+  coerce(type, value, attribute = {}) {
+    const node = parseType(type);
+    const { name, args } = node;
+
+    if (value === null) {
+      if (DataTypes.isNullable(node) || attribute.allowNull === true) {
+        return null;
+      }
+      throw new Error('cannot be null');
+    }
+
+    switch (name) {
+      case 'Nullable':
+        return this.coerce(args[0], value);
+      case 'LowCardinality':
+        return this.coerce(args[0], value, attribute);
+      case 'SimpleAggregateFunction':
+        return this.coerce(args[1], value, attribute);
+      case 'Array':
+        return this.coerceArray(node, value, element => this.coerce(args[0], element));
+      case 'Nested':
+        return this.coerceArray(node, value, element => this.coerceTuple(node, element));
+      case 'Tuple':
+        return this.coerceTuple(node, value);
+      case 'Map':
+        return this.coerceMap(node, value);
+      default:
+        break;
+    }
+
+    if (INTEGER_RANGES[name]) {
+      return this.coerceInteger(name, value);
+    }
+
+    if (/^Float(32|64)$/.test(name)) {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof number !== 'number' || (Number.isNaN(number) && !Number.isNaN(value))) {
+        throw new Error(`expected a number for ${name}`);
+      }
+      return number;
+    }
+
+    if (name === 'Decimal' || DECIMAL_PRECISIONS[name]) {
+      const [precision, scale = 0] = name === 'Decimal' ? args : [DECIMAL_PRECISIONS[name], args[0]];
+      return this.coerceDecimal(formatType(node), value, precision, scale);
+    }
+
+    if (name === 'String') {
+      if (typeof value === 'object') {
+        throw new Error('expected a string');
+      }
+      return String(value);
+    }
+
+    if (name === 'FixedString') {
+      const string = String(value);
+      if (Buffer.byteLength(string) > args[0]) {
+        throw new Error(`is longer than ${args[0]} bytes`);
+      }
+      return string;
+    }
+
+    if (name === 'Enum8' || name === 'Enum16') {
+      return this.coerceEnum(value, args);
+    }
+
+    if (name === 'Bool') {
+      if (typeof value === 'boolean') {
+        return value;
+      }
+      if (value === 0 || value === 1) {
+        return value === 1;
+      }
+      throw new Error('expected a boolean');
+    }
+
+    if (name === 'UUID') {
+      if (typeof value !== 'string' || !UUID_PATTERN.test(value)) {
+        throw new Error('expected a UUID');
+      }
+      return value;
+    }
+
+    if (name === 'IPv4') {
+      const valid = typeof value === 'string'
+        ? net.isIPv4(value)
+        : Number.isInteger(value) && value >= 0 && value <= 4294967295;
+      if (!valid) {
+        throw new Error('expected an IPv4 address');
+      }
+      return value;
+    }
+
+    if (name === 'IPv6') {
+      if (typeof value !== 'string' || !net.isIP(value)) {
+        throw new Error('expected an IPv6 address');
+      }
+      return value;
+    }
+
+    if (name === 'Date' || name === 'Date32') {
+      return this.coerceDate(value, 'date');
+    }
+
+    if (name === 'DateTime') {
+      return this.coerceDate(value, 'datetime');
+    }
+
+    if (name === 'DateTime64') {
+      return this.coerceDate(value, 'datetime64');
+    }
+
+    return value;
+  }
+
+  /**
+   * Arrays (and Nested columns) are coerced element by element
+   */
+  coerceArray(node, value, coerceElement) {
+    if (!Array.isArray(value)) {
+      throw new Error(`expected an array for ${formatType(node)}`);
+    }
+
+    return value.map((element, position) => {
+      try {
+        return coerceElement(element);
+      } catch (error) {
+        throw new Error(`[${position}] ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * Tuples take an array of elements, or an object for named tuples
+   */
+  coerceTuple(node, value) {
+    const elements = node.args;
+    const named = elements.every(element => element.field);
+
+    if (Array.isArray(value)) {
+      if (value.length !== elements.length) {
+        throw new Error(`expected ${elements.length} elements for ${formatType(node)}`);
+      }
+      return value.map((element, position) => this.coerceElement(elements[position], element, position));
+    }
+
+    if (!named || typeof value !== 'object') {
+      throw new Error(`expected ${named ? 'an object or ' : ''}an array for ${formatType(node)}`);
+    }
+
+    for (const key of Object.keys(value)) {
+      if (!elements.some(element => element.field === key)) {
+        throw new Error(`${key} is not an element of ${formatType(node)}`);
+      }
+    }
+
+    const result = {};
+    for (const element of elements) {
+      if (value[element.field] !== undefined) {
+        result[element.field] = this.coerceElement(element, value[element.field], element.field);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Coerce a tuple element, prefixing errors with its position or name
+   */
+  coerceElement(type, value, label) {
+    try {
+      return this.coerce(type, value);
+    } catch (error) {
+      throw new Error(`[${label}] ${error.message}`);
+    }
+  }
+
+  /**
+   * Maps take an object or a Map; keys are checked against the key type
+   */
+  coerceMap(node, value) {
+    const [keyType, valueType] = node.args;
+    const entries = value instanceof Map ? [...value.entries()] : null;
+
+    if (!entries && (typeof value !== 'object' || Array.isArray(value))) {
+      throw new Error(`expected an object for ${formatType(node)}`);
+    }
+
+    const result = {};
+    for (const [key, element] of entries || Object.entries(value)) {
+      this.coerceElement(keyType, key, key);
+      result[key] = this.coerceElement(valueType, element, key);
+    }
+    return result;
+  }
+
+  /**
+   * Integers must be whole and in range; 64-bit and wider values are sent as strings
+   */
+  coerceInteger(type, value) {
+    let integer;
+
+    try {
+      if (typeof value === 'bigint') {
+        integer = value;
+      } else if (typeof value === 'number' && Number.isInteger(value)) {
+        integer = BigInt(value);
+      } else if (typeof value === 'string' && /^-?\d+$/.test(value.trim())) {
+        integer = BigInt(value.trim());
+      }
+    } catch (error) {
+      integer = undefined;
+    }
+
+    if (integer === undefined) {
+      throw new Error(`expected an integer for ${type}`);
+    }
+
+    const [min, max] = INTEGER_RANGES[type];
+    if (integer < min || integer > max) {
+      throw new Error(`${integer} is out of range for ${type}`);
+    }
+
+    const wide = /64|128|256/.test(type);
+    if (wide && (integer > BigInt(Number.MAX_SAFE_INTEGER) || integer < BigInt(Number.MIN_SAFE_INTEGER))) {
+      return integer.toString();
+    }
+
+    return Number(integer);
+  }
+
+  /**
+   * Decimals must fit the declared precision and scale
+   */
+  coerceDecimal(type, value, precision, scale) {
+    const string = typeof value === 'number' ? String(value) : value;
+
+    if (typeof string !== 'string' || !/^-?\d+(\.\d+)?$/.test(string.trim())) {
+      throw new Error(`expected a decimal for ${type}`);
+    }
+
+    const [integerPart, fraction = ''] = string.trim().replace('-', '').split('.');
+    if (integerPart.replace(/^0+/, '').length > precision - scale) {
+      throw new Error(`${string} does not fit ${type}`);
+    }
+    if (fraction.length > scale) {
+      throw new Error(`${string} has more than ${scale} decimal places`);
+    }
+
+    return value;
+  }
+
+  /**
+   * Enum values must be one of the declared names (or their numbers)
+   */
+  coerceEnum(value, members) {
+    for (const { label, value: number } of members) {
+      if (label === value || number === value) {
+        return label;
+      }
+    }
+
+    throw new Error(`must be one of ${members.map(member => member.label).join(', ')}`);
+  }
+
+  /**
+   * Dates accept Date objects, strings and unix timestamps
+   *
+   * Date objects are sent as unix timestamps for DateTime and DateTime64, so
+   * they land on the right instant whatever the column or server timezone.
+   */
+  coerceDate(value, kind) {
+    if (value instanceof Date) {
+      if (isNaN(value.getTime())) {
+        throw new Error('is an invalid date');
+      }
+
+      if (kind === 'date') {
+        return value.toISOString().slice(0, 10);
+      }
+
+      // DateTime64 reads a bare integer as ticks of its precision, so keep the fraction
+      return kind === 'datetime64' ? (value.getTime() / 1000).toFixed(3) : Math.floor(value.getTime() / 1000);
+    }
+
+    if (typeof value === 'string' || typeof value === 'number') {
+      return value;
+    }
+
+    throw new Error('expected a date');
+  }
+}
+
+module.exports = Validator;
@@ -0,0 +1,21 @@
+const { test, assert } = require('./runner');
+const { createORM } = require('./helpers');
+const { DataTypes, Engines, SchemaError } = require('..');
+
+test('Engine builders reject invalid arguments with a SchemaError', () => {
+  assert.throws(() => Engines.ReplacingMergeTree({ isDeleted: 'deleted' }), SchemaError);
+  assert.throws(() => Engines.CollapsingMergeTree(), SchemaError);
+  assert.throws(() => Engines.Replicated(Engines.Memory()), SchemaError);
+  assert.throws(() => Engines.Distributed('main'), SchemaError);
+});
+
+test('Engine validation reports unknown and mistyped columns with a SchemaError', () => {
+  const Event = createORM().define('Event', {
+    id: { type: DataTypes.UInt64, primaryKey: true },
+    version: DataTypes.String
+  });
+
+  assert.throws(() => Engines.ReplacingMergeTree({ version: 'missing' }).validate(Event), SchemaError);
+  assert.throws(() => Engines.ReplacingMergeTree({ version: 'version' }).validate(Event),
+    /ReplacingMergeTree version column "version" of Event has unsupported type String/);
+});
@@ -0,0 +1,39 @@
+const { test, assert } = require('./runner');
+const Hydrator = require('../lib/Hydrator');
+
+const hydrator = new Hydrator();
+
+test('Hydrator reads DateTime values in the column timezone', () => {
+  assert.strictEqual(hydrator.hydrateValue("DateTime('Asia/Tokyo')", '2024-01-01 09:00:00').toISOString(), '2024-01-01T00:00:00.000Z');
+  assert.strictEqual(
+    hydrator.hydrateValue("Nullable(DateTime64(3, 'America/New_York'))", '2024-07-01 12:00:00.250').toISOString(),
+    '2024-07-01T16:00:00.250Z'
+  );
+  assert.strictEqual(hydrator.hydrateValue('DateTime', '2024-07-01 12:00:00').toISOString(), '2024-07-01T12:00:00.000Z');
+});
+
+test('Hydrator reads ISO DateTime values regardless of the column timezone', () => {
+  assert.strictEqual(hydrator.hydrateValue('DateTime', '2024-07-01T12:00:00Z').toISOString(), '2024-07-01T12:00:00.000Z');
+  assert.strictEqual(
+    hydrator.hydrateValue("DateTime64(3, 'Asia/Tokyo')", '2024-07-01T12:00:00.250Z').toISOString(),
+    '2024-07-01T12:00:00.250Z'
+  );
+});
+
+test('Hydrator handles wall-clock times next to DST changes', () => {
+  // Offsets on either side of the November and March changes
+  assert.strictEqual(
+    hydrator.hydrateValue("DateTime('America/New_York')", '2024-11-03 03:00:00').toISOString(),
+    '2024-11-03T08:00:00.000Z'
+  );
+  assert.strictEqual(
+    hydrator.hydrateValue("DateTime('America/New_York')", '2024-03-10 03:30:00').toISOString(),
+    '2024-03-10T07:30:00.000Z'
+  );
+});
+
+test('Hydrator converts 64-bit integers and decimals as configured', () => {
+  assert.strictEqual(hydrator.hydrateValue('UInt64', 18446744073709551615n.toString()), '18446744073709551615');
+  assert.strictEqual(new Hydrator({ int64: 'bigint' }).hydrateValue('Int64', '-5'), -5n);
+  assert.strictEqual(new Hydrator({ decimal: 'number' }).hydrateValue('Decimal(10, 2)', '1.50'), 1.5);
+});
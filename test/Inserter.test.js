@@ -0,0 +1,72 @@
+const { test, assert } = require('./runner');
+const { createORM, mockConnection } = require('./helpers');
+const { DataTypes } = require('..');
+
+const setup = (respond, options = {}) => {
+  const orm = createORM({ retry: { retries: 0 } });
+  const Event = orm.define('Event', {
+    id: { type: DataTypes.UInt32, primaryKey: true },
+    type: DataTypes.String
+  });
+  const calls = mockConnection(orm.connection, respond);
+  const inserter = Event.createInserter({ flushIntervalMs: 0, retryDelayMs: 1, ...options });
+  inserter.on('failed', () => {});
+
+  return { calls, inserter };
+};
+
+const failing = (error, times = 1) => {
+  let failures = 0;
+  return () => {
+    if (failures++ < times) {
+      throw error;
+    }
+  };
+};
+
+test('Inserter does not resend a batch after a timeout', async () => {
+  const { calls, inserter } = setup(failing(new Error('Timeout error.')));
+
+  await inserter.insert({ id: 1, type: 'click' });
+  await assert.rejects(inserter.flush(), { name: 'TimeoutError' });
+  assert.strictEqual(calls.length, 1);
+});
+
+test('Inserter retries batches the server rejected', async () => {
+  const { calls, inserter } = setup(failing(Object.assign(new Error('Too many parts'), { code: '252' })));
+
+  await inserter.insert({ id: 1, type: 'click' });
+  await inserter.flush();
+  assert.strictEqual(calls.length, 2);
+});
+
+test('Inserter resends a timed out batch with the same deduplication token', async () => {
+  const { calls, inserter } = setup(failing(new Error('socket hang up')), { deduplicate: true });
+
+  await inserter.insert({ id: 1, type: 'click' });
+  await inserter.flush();
+  await inserter.insert({ id: 2, type: 'view' });
+  await inserter.flush();
+
+  const tokens = calls.map(call => call.clickhouse_settings.insert_deduplication_token);
+  assert.strictEqual(tokens.length, 3);
+  assert.strictEqual(tokens[0], tokens[1]);
+  assert.notStrictEqual(tokens[1], tokens[2]);
+});
+
+test('Inserter reports a failed interval flush to the next flush only once', async () => {
+  const { calls, inserter } = setup(failing(Object.assign(new Error('Syntax error'), { code: '62' })), { flushIntervalMs: 5 });
+  const failed = [];
+  inserter.on('failed', ({ count }) => failed.push(count));
+
+  await inserter.insert({ id: 1, type: 'click' });
+  await new Promise(resolve => setTimeout(resolve, 30));
+
+  assert.deepStrictEqual(failed, [1]);
+  await assert.rejects(inserter.flush(), /Syntax error/);
+  await inserter.flush();
+
+  await inserter.insert({ id: 2, type: 'view' });
+  await inserter.close();
+  assert.strictEqual(calls.length, 2);
+});
@@ -0,0 +1,110 @@
+const { test, assert } = require('./runner');
+const { createORM, mockConnection } = require('./helpers');
+const { DataTypes } = require('..');
+const MaterializedView = require('../lib/MaterializedView');
+const Schema = require('../lib/Schema');
+
+const setup = () => {
+  const orm = createORM();
+  const Order = orm.define('Order', {
+    id: { type: DataTypes.UInt64, primaryKey: true },
+    amount: DataTypes.Float64,
+    created_at: DataTypes.DateTime
+  });
+  const Daily = orm.define('Daily', {
+    day: DataTypes.Date,
+    revenue: DataTypes.Float64
+  }, { tableName: 'daily' });
+
+  return { orm, Order, Daily };
+};
+
+test('Materialized view backfills are bounded by the server time read before CREATE', async () => {
+  const { orm, Order, Daily } = setup();
+  const calls = mockConnection(orm.connection, (call) => {
+    if (call.query.includes('system.tables')) {
+      return { data: [{ count: 0 }] };
+    }
+    return { data: [{ now: '1704067200000' }] };
+  });
+  const view = orm.defineMaterializedView('daily_mv', {
+    from: Order,
+    to: Daily,
+    query: orm.createQueryBuilder(Order).select(['toDate(created_at) AS day', 'sum(amount) AS revenue']).groupBy('day'),
+    populate: { column: 'created_at' }
+  });
+
+  await new Schema(orm.connection).createMaterializedView(view);
+
+  assert.deepStrictEqual(calls.slice(1).map(call => call.query.split('\n')[0]), [
+    'SELECT toUnixTimestamp64Milli(now64(3)) AS now',
+    'CREATE MATERIALIZED VIEW IF NOT EXISTS daily_mv TO daily',
+    'INSERT INTO daily (day, revenue) SELECT toDate(created_at) AS day, sum(amount) AS revenue FROM order'
+      + ' WHERE created_at < fromUnixTimestamp64Milli(1704067200000) GROUP BY day'
+  ]);
+  assert.ok(!view.getSelectSQL().includes('WHERE'));
+});
+
+test('Materialized views read from their source without changing the given builder', () => {
+  const { orm, Order, Daily } = setup();
+  const query = orm.createQueryBuilder(Order).select(['toDate(created_at) AS day', 'sum(amount) AS revenue']).groupBy('day');
+
+  const view = orm.defineMaterializedView('daily_mv', { from: Order, to: Daily, query });
+
+  assert.strictEqual(query.query.from, '');
+  assert.ok(view.getSelectSQL().includes('FROM order GROUP BY day'));
+});
+
+test('sync creates views after tables in dependency order and drop reverses it', async () => {
+  const { orm, Order, Daily } = setup();
+  orm.defineMaterializedView('monthly_mv', {
+    from: 'daily_mv',
+    query: 'SELECT toStartOfMonth(day) AS month, sum(revenue) AS revenue FROM daily GROUP BY month',
+    engine: 'SummingMergeTree()',
+    orderBy: 'month'
+  });
+  orm.defineMaterializedView('daily_mv', {
+    from: Order,
+    to: Daily,
+    query: orm.createQueryBuilder(Order).select(['toDate(created_at) AS day', 'sum(amount) AS revenue']).groupBy('day')
+  });
+  const calls = mockConnection(orm.connection);
+
+  const plan = await orm.sync({ dryRun: true });
+  await orm.drop();
+
+  assert.deepStrictEqual(plan.map(sql => sql.split('\n')[0]), [
+    'CREATE TABLE IF NOT EXISTS order (',
+    'CREATE TABLE IF NOT EXISTS daily (',
+    'CREATE MATERIALIZED VIEW IF NOT EXISTS daily_mv TO daily',
+    'CREATE MATERIALIZED VIEW IF NOT EXISTS monthly_mv'
+  ]);
+  assert.deepStrictEqual(calls.map(call => call.query).slice(0, 2), ['DROP VIEW IF EXISTS monthly_mv', 'DROP VIEW IF EXISTS daily_mv']);
+});
+
+test('Materialized views with an inner table are populated with POPULATE', () => {
+  const { orm, Order } = setup();
+  const view = orm.defineMaterializedView('totals_mv', {
+    from: Order,
+    query: orm.createQueryBuilder().select(['id', 'amount']).where({ amount: { gt: 100 } }),
+    engine: 'MergeTree()',
+    orderBy: 'id',
+    populate: true
+  });
+
+  assert.deepStrictEqual(new Schema(orm.connection).generateCreateMaterializedViewSQL(view), [
+    'CREATE MATERIALIZED VIEW IF NOT EXISTS totals_mv\nENGINE = MergeTree()\nORDER BY id\nPOPULATE\n'
+      + 'AS SELECT id, amount FROM order WHERE amount > 100'
+  ]);
+});
+
+test('Materialized views that depend on each other in a cycle are rejected', () => {
+  const { orm } = setup();
+  orm.defineMaterializedView('a_mv', { from: 'b_mv', query: 'SELECT 1' });
+  orm.defineMaterializedView('b_mv', { from: 'a_mv', query: 'SELECT 1' });
+
+  assert.throws(() => MaterializedView.sort(orm.views.values()), {
+    name: 'SchemaError',
+    message: 'Circular dependency between materialized views at a_mv'
+  });
+});
@@ -0,0 +1,103 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, assert } = require('./runner');
+const { createORM, mockConnection } = require('./helpers');
+const Migrator = require('../lib/Migrator');
+
+/**
+ * Directory with migrations that record when they run and take `delayMs`
+ */
+const createMigrations = (names, delayMs = 0) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'orm-migrations-'));
+
+  for (const name of names) {
+    fs.writeFileSync(path.join(directory, `${name}.js`), `module.exports = {
+  async up(schema, orm) { orm.ran.push('${name}'); await new Promise(resolve => setTimeout(resolve, ${delayMs})); },
+  async down(schema, orm) {}
+};
+`);
+  }
+
+  return directory;
+};
+
+/**
+ * Connection mock whose lock holder is `holder()` (this migrator by default)
+ */
+const mockLock = (orm, migrator, holder = () => migrator.owner) => mockConnection(orm.connection, (call) =>
+  call.method === 'query' && call.query.includes('_lock')
+    ? { data: [{ owner: holder() }] }
+    : { data: [] });
+
+const setup = (config = {}, options = {}) => {
+  const orm = createORM(config);
+  orm.ran = [];
+  const migrator = new Migrator(orm, { directory: createMigrations(['1_a', '2_b']), lockSettleMs: 0, ...options });
+  return { orm, migrator };
+};
+
+test('Migrator keeps its lock and bookkeeping on one host', async () => {
+  const { orm, migrator } = setup({ hosts: ['ch1', 'ch2'] });
+  const calls = mockLock(orm, migrator);
+
+  assert.deepStrictEqual(await migrator.migrate(), ['1_a', '2_b']);
+  assert.ok(calls.some(call => call.method === 'insert'));
+  assert.deepStrictEqual([...new Set(calls.map(call => call.host))], ['ch1']);
+});
+
+test('Migrator stamps lock rows with the server clock', async () => {
+  const { orm, migrator } = setup();
+  const calls = mockLock(orm, migrator);
+
+  await migrator.migrate();
+
+  const lock = calls.find(call => call.method === 'command' && call.query.includes('INSERT INTO _orm_migrations_lock'));
+  assert.ok(lock.query.includes('SELECT {owner:String}, now64(3), now64(3) + toIntervalMillisecond({timeout:UInt64})'));
+  assert.deepStrictEqual(lock.query_params, { owner: migrator.owner, timeout: 15 * 60 * 1000 });
+});
+
+test('Migrator gives up when another process holds an older lock', async () => {
+  const { orm, migrator } = setup();
+  const calls = mockLock(orm, migrator, () => 'other');
+
+  await assert.rejects(migrator.migrate(), /locked by another process \(other\)/);
+  assert.deepStrictEqual(orm.ran, []);
+  assert.ok(calls[calls.length - 1].query.startsWith('DELETE FROM _orm_migrations_lock'));
+});
+
+test('Migrator checks the lock again before running', async () => {
+  const { orm, migrator } = setup({}, { lockSettleMs: 5 });
+  let checks = 0;
+  mockLock(orm, migrator, () => (++checks === 1 ? migrator.owner : 'other'));
+
+  await assert.rejects(migrator.migrate(), /locked by another process \(other\)/);
+  assert.deepStrictEqual(orm.ran, []);
+});
+
+test('Migrator renews its lock and stops when the lock is lost', async () => {
+  const { orm, migrator } = setup({}, { lockTimeoutMs: 30, directory: createMigrations(['1_a', '2_b'], 40) });
+  let lost = false;
+  const calls = mockLock(orm, migrator, () => (lost ? 'other' : migrator.owner));
+
+  setTimeout(() => {
+    lost = true;
+  }, 15);
+
+  await assert.rejects(migrator.migrate(), /Migrations lock expired and was taken by other/);
+  assert.deepStrictEqual(orm.ran, ['1_a']);
+  assert.ok(calls.some(call => call.method === 'command' && call.query.includes('WHERE owner = {owner:String} AND expires_at > now64(3)')));
+});
+
+test('Migrator creates replicated tables ON CLUSTER with a cluster', async () => {
+  const { orm, migrator } = setup({ cluster: 'main' }, { directory: createMigrations([]) });
+  const calls = mockLock(orm, migrator);
+
+  await migrator.migrate();
+
+  const commands = calls.filter(call => call.method === 'command').map(call => call.query);
+  assert.strictEqual(commands.length, 4);
+  assert.ok(commands[0].includes('_orm_migrations ON CLUSTER main') && commands[0].includes('ReplicatedReplacingMergeTree('));
+  assert.ok(commands[1].includes('_orm_migrations_lock ON CLUSTER main') && commands[1].includes('ReplicatedMergeTree('));
+  assert.ok(commands[3].startsWith('DELETE FROM _orm_migrations_lock ON CLUSTER main'));
+});
@@ -0,0 +1,178 @@
+const { test, assert } = require('./runner');
+const { createORM, mockConnection } = require('./helpers');
+const { DataTypes } = require('..');
+
+const setup = () => {
+  const orm = createORM();
+  const Event = orm.define('Event', {
+    id: { type: DataTypes.UInt64, primaryKey: true },
+    tenant_id: DataTypes.UInt32
+  });
+  const calls = mockConnection(orm.connection, () => ({ rows: [{ json: () => ({ id: '1', tenant_id: 7 }) }] }));
+
+  return { Event, calls };
+};
+
+test('findAllStream runs beforeFind and the model query hooks', async () => {
+  const { Event, calls } = setup();
+  const contexts = [];
+
+  Event.addHook('beforeFind', (options) => {
+    options.where = { tenant_id: 7 };
+  });
+  Event.addHook('beforeQuery', (context) => {
+    contexts.push(context.type);
+  });
+  Event.addHook('afterQuery', (context) => {
+    contexts.push(context.error ? 'error' : 'done');
+  });
+
+  const records = [];
+  for await (const record of Event.findAllStream()) {
+    records.push(record);
+  }
+
+  assert.strictEqual(calls[0].query, 'SELECT * FROM event WHERE tenant_id = {p_0:UInt32}');
+  assert.deepStrictEqual(contexts, ['stream', 'done']);
+  assert.strictEqual(records.length, 1);
+});
+
+test('findAllStream passes each batch through afterFind', async () => {
+  const { Event } = setup();
+  Event.addHook('afterFind', (records) => records.map(record => ({ id: record.id, seen: true })));
+
+  const batches = [];
+  for await (const batch of Event.findAllStream({ batchSize: 10 })) {
+    batches.push(batch);
+  }
+
+  assert.deepStrictEqual(batches, [[{ id: '1', seen: true }]]);
+});
+
+test('findAll asks for ISO DateTime output unless rows stay raw', async () => {
+  const { Event, calls } = setup();
+
+  await Event.findAll({ clickhouse_settings: { max_threads: 2 } });
+  await Event.findAll({ raw: true });
+
+  assert.deepStrictEqual(calls[0].clickhouse_settings, { date_time_output_format: 'iso', max_threads: 2 });
+  assert.strictEqual(calls[1].clickhouse_settings, undefined);
+});
+
+test('final is rejected for engines that do not merge rows', async () => {
+  const { Event } = setup();
+
+  await assert.rejects(Event.findAll({ final: true }), {
+    name: 'SchemaError',
+    message: 'FINAL is not supported by the MergeTree engine of Event'
+  });
+});
+
+test('findAll applies SELECT options and exposes totals and extremes', async () => {
+  const orm = createORM();
+  const State = orm.define('State', {
+    id: { type: DataTypes.UInt64, primaryKey: true },
+    tenant_id: DataTypes.UInt32
+  }, { engine: orm.Engines.ReplacingMergeTree() });
+  const calls = mockConnection(orm.connection, () => ({
+    data: [{ id: '1', tenant_id: 7 }],
+    totals: { id: '0', tenant_id: 7 },
+    extremes: { min: { id: '1', tenant_id: 7 }, max: { id: '1', tenant_id: 7 } }
+  }));
+
+  const records = await State.findAll({
+    final: true,
+    sample: { ratio: 0.5, offset: 0.5 },
+    limitBy: { limit: 1, by: 'tenant_id' },
+    settings: { max_threads: 2 },
+    extremes: true
+  });
+
+  assert.strictEqual(calls[0].query, 'SELECT * FROM state FINAL SAMPLE 0.5 OFFSET 0.5 LIMIT 1 BY tenant_id SETTINGS max_threads = 2, extremes = 1');
+  assert.strictEqual(records.length, 1);
+  assert.deepStrictEqual(records.totals, { id: '0', tenant_id: 7 });
+  assert.deepStrictEqual(records.extremes.max, { id: '1', tenant_id: 7 });
+});
+
+test('aggregate converts 64-bit and Decimal metrics by the hydration options', async () => {
+  const orm = createORM({ hydration: { int64: 'bigint' } });
+  const Order = orm.define('Order', { id: { type: DataTypes.UInt64, primaryKey: true } }, { hydration: { decimal: 'number' } });
+  mockConnection(orm.connection, () => ({
+    data: [{ total: '18446744073709551615', revenue: '10.50', share: 0.5 }],
+    meta: [{ name: 'total', type: 'UInt64' }, { name: 'revenue', type: 'Decimal(38, 2)' }, { name: 'share', type: 'Float64' }]
+  }));
+
+  const [row] = await Order.aggregate({ metrics: { total: 'sum(id)', revenue: 'sum(amount)', share: 'avg(rate)' } });
+
+  assert.deepStrictEqual(row, { total: 18446744073709551615n, revenue: 10.5, share: 0.5 });
+});
+
+test('aggregate compiles metrics, groupBy, having and totals', async () => {
+  const { Event } = setup();
+  const calls = mockConnection(Event.connection, () => ({
+    data: [{ tenant_id: 7, users: '3', p95: 12.5 }],
+    totals: { tenant_id: 0, users: '5', p95: 20 },
+    meta: [{ name: 'tenant_id', type: 'UInt32' }, { name: 'users', type: 'UInt64' }, { name: 'p95', type: 'Float64' }]
+  }));
+
+  const rows = await Event.aggregate({
+    groupBy: 'tenant_id',
+    metrics: { users: ['uniqExact', 'id'], p95: ['quantile(0.95)', 'id'] },
+    where: { tenant_id: 7 },
+    having: { users: { gt: 1 } },
+    totals: true,
+    orderBy: 'users DESC'
+  });
+
+  assert.strictEqual(calls[0].query, 'SELECT tenant_id, uniqExact(id) AS users, quantile(0.95)(id) AS p95 FROM event'
+    + ' WHERE tenant_id = {p_0:UInt32} GROUP BY tenant_id WITH TOTALS HAVING users > {p_1:Int64} ORDER BY users DESC');
+  assert.deepStrictEqual(rows, [{ tenant_id: 7, users: '3', p95: 12.5 }]);
+  assert.deepStrictEqual(rows.totals, { tenant_id: 0, users: '5', p95: 20 });
+});
+
+test('aggregate shortcuts return a single value and reject unsafe functions', async () => {
+  const { Event } = setup();
+  const calls = mockConnection(Event.connection, () => ({ data: [{ sum: '42' }], meta: [{ name: 'sum', type: 'UInt64' }] }));
+
+  assert.strictEqual(await Event.sum('tenant_id'), '42');
+  assert.strictEqual(calls[0].query, 'SELECT sum(tenant_id) AS sum FROM event');
+  await assert.rejects(Event.aggregate({ metrics: { x: ['sum(1)); DROP TABLE event; --', 'id'] } }), /Invalid aggregate function/);
+  await assert.rejects(Event.aggregate({}), /At least one metric/);
+});
+
+test('update and destroy run mutations that can wait for completion', async () => {
+  const { Event } = setup();
+  const calls = mockConnection(Event.connection);
+
+  await Event.update({ tenant_id: 8 }, { where: { id: 1 }, mutationsSync: true });
+  await Event.destroy({ where: { tenant_id: 8 } });
+  await Event.destroy({ where: { tenant_id: 9 }, deleteMode: 'mutation', mutationsSync: 2 });
+
+  assert.deepStrictEqual(calls.map(({ query, query_params, clickhouse_settings }) => ({ query, query_params, clickhouse_settings })), [
+    {
+      query: 'ALTER TABLE event UPDATE tenant_id = {p_1:UInt32} WHERE id = {p_0:UInt64}',
+      query_params: { p_0: 1, p_1: 8 },
+      clickhouse_settings: { mutations_sync: 1 }
+    },
+    { query: 'DELETE FROM event WHERE tenant_id = {p_0:UInt32}', query_params: { p_0: 8 }, clickhouse_settings: undefined },
+    { query: 'ALTER TABLE event DELETE WHERE tenant_id = {p_0:UInt32}', query_params: { p_0: 9 }, clickhouse_settings: { mutations_sync: 2 } }
+  ]);
+  await assert.rejects(Event.update({ tenant_id: 1 }), /requires where conditions/);
+  await assert.rejects(Event.destroy(), /requires where conditions/);
+});
+
+test('mutations lists system.mutations rows and killMutation targets one by id', async () => {
+  const { Event } = setup();
+  const calls = mockConnection(Event.connection, () => ({
+    data: [{ mutation_id: 'mutation_3.txt', command: 'DELETE WHERE 1', is_done: 0, parts_to_do: '4' }]
+  }));
+
+  const mutations = await Event.mutations({ pending: true });
+  await Event.killMutation('mutation_3.txt');
+
+  assert.deepStrictEqual(mutations, [{ mutation_id: 'mutation_3.txt', command: 'DELETE WHERE 1', is_done: false, parts_to_do: 4 }]);
+  assert.ok(calls[0].query.includes('AND is_done = 0 ORDER BY create_time DESC'));
+  assert.deepStrictEqual(calls[0].query_params, { table: 'event' });
+  assert.ok(calls[1].query.includes('KILL MUTATION'));
+  assert.deepStrictEqual(calls[1].query_params, { table: 'event', id: 'mutation_3.txt' });
+});
@@ -0,0 +1,287 @@
+const { Readable } = require('stream');
+const { test, assert } = require('./runner');
+const { createORM } = require('./helpers');
+const { DataTypes, literal } = require('..');
+
+const orm = createORM();
+const User = orm.define('User', {
+  id: { type: DataTypes.UInt64, primaryKey: true },
+  name: DataTypes.String,
+  age: DataTypes.UInt8,
+  tags: DataTypes.Array(DataTypes.String),
+  created_at: DataTypes.DateTime
+});
+
+const builder = () => orm.createQueryBuilder(User).select('*').from('user');
+
+test('QueryBuilder binds typed parameters for where conditions', () => {
+  const { sql, params } = builder().where({ age: { gte: 18 }, name: "O'Brien" }).toSQL();
+
+  assert.strictEqual(sql, 'SELECT * FROM user WHERE age >= {p_0:UInt8} AND name = {p_1:String}');
+  assert.deepStrictEqual(params, { p_0: 18, p_1: "O'Brien" });
+});
+
+test('QueryBuilder compiles IN, BETWEEN, NULL and nested groups', () => {
+  const { sql } = builder().where({
+    id: [1, 2],
+    age: { between: [18, 30] },
+    name: null,
+    or: [{ age: { lt: 5 } }, { tags: { has: 'vip' } }]
+  }).toSQL();
+
+  assert.strictEqual(sql, 'SELECT * FROM user WHERE id IN ({p_0:UInt64}, {p_1:UInt64})'
+    + ' AND age BETWEEN {p_2:UInt8} AND {p_3:UInt8} AND name IS NULL'
+    + ' AND (age < {p_4:UInt8} OR has(tags, {p_5:String}))');
+});
+
+test('QueryBuilder treats empty IN lists as constant conditions', () => {
+  assert.strictEqual(builder().where({ id: [] }).toSQL().sql, 'SELECT * FROM user WHERE 0');
+  assert.strictEqual(builder().where({ id: { notIn: [] } }).toSQL().sql, 'SELECT * FROM user WHERE 1');
+});
+
+test('QueryBuilder inlines literals instead of binding them', () => {
+  const { sql, params } = builder().where({ created_at: { gt: literal('now() - INTERVAL 1 DAY') } }).toSQL();
+
+  assert.strictEqual(sql, 'SELECT * FROM user WHERE created_at > now() - INTERVAL 1 DAY');
+  assert.deepStrictEqual(params, {});
+});
+
+test('QueryBuilder rejects unknown operators', () => {
+  assert.throws(() => builder().where({ age: { near: 3 } }), /Unknown operator "near"/);
+});
+
+test('QueryBuilder renders GROUP BY, HAVING, ORDER BY, LIMIT and OFFSET in order', () => {
+  const { sql } = orm.createQueryBuilder(User)
+    .select(['age', 'count() AS c'])
+    .from('user')
+    .groupBy('age')
+    .having('c > 1')
+    .orderBy('age', 'DESC')
+    .limit(10)
+    .offset(20)
+    .toSQL();
+
+  assert.strictEqual(sql, 'SELECT age, count() AS c FROM user GROUP BY age HAVING c > 1 ORDER BY age DESC LIMIT 10 OFFSET 20');
+});
+
+test('QueryBuilder only accepts non-negative integers for LIMIT and OFFSET', () => {
+  assert.strictEqual(orm.createQueryBuilder().select('*').from('user').limit('5').offset(0).toSQL().sql,
+    'SELECT * FROM user LIMIT 5 OFFSET 0');
+  assert.throws(() => orm.createQueryBuilder().limit('1; DROP TABLE user'), /limit expects a non-negative integer/);
+  assert.throws(() => orm.createQueryBuilder().limit(2.5), /limit expects a non-negative integer/);
+  assert.throws(() => orm.createQueryBuilder().offset(-1), /offset expects a non-negative integer/);
+});
+
+test('QueryBuilder toInlineSQL replaces parameters with literals', () => {
+  const sql = builder().where({ name: "O'Brien", age: 3 }).toInlineSQL();
+  assert.strictEqual(sql, "SELECT * FROM user WHERE name = 'O\\'Brien' AND age = 3");
+});
+
+test('QueryBuilder refuses mutations without conditions', () => {
+  assert.throws(() => orm.createQueryBuilder(User).from('user').toDeleteSQL(), /Refusing to mutate user/);
+});
+
+test('QueryBuilder keeps the direction written into an ORDER BY key', () => {
+  const { sql } = orm.createQueryBuilder().select('*').from('user').orderBy('age desc').orderBy('name').toSQL();
+
+  assert.strictEqual(sql, 'SELECT * FROM user ORDER BY age desc, name ASC');
+});
+
+test('QueryBuilder numbers parameters of CTEs, subqueries and UNION ALL in rendering order', () => {
+  const active = orm.createQueryBuilder(User).select('id').from('user').where({ age: { gte: 18 } });
+  const buyers = orm.createQueryBuilder(User).select('id').from('user').where({ name: 'Ann' });
+  const others = orm.createQueryBuilder(User).select(['id', "'none' AS tag"]).from('user').where({ age: 1 });
+
+  const { sql, params } = orm.createQueryBuilder(User)
+    .with('active', active)
+    .select(['id', 'tag'])
+    .from('user')
+    .arrayJoin({ tag: 'tags' })
+    .prewhere({ age: { lt: 65 } })
+    .where({ id: buyers, tag: 'vip' })
+    .unionAll(others)
+    .toSQL();
+
+  assert.strictEqual(sql, 'WITH active AS (SELECT id FROM user WHERE age >= {p_0:UInt8})'
+    + ' SELECT id, tag FROM user ARRAY JOIN tags AS tag PREWHERE age < {p_1:UInt8}'
+    + ' WHERE id IN (SELECT id FROM user WHERE name = {p_2:String}) AND tag = {p_3:String}'
+    + " UNION ALL SELECT id, 'none' AS tag FROM user WHERE age = {p_4:UInt8}");
+  assert.deepStrictEqual(params, { p_0: 18, p_1: 65, p_2: 'Ann', p_3: 'vip', p_4: 1 });
+});
+
+test('QueryBuilder selects from an aliased subquery', () => {
+  const adults = orm.createQueryBuilder(User).select('id').from('user').where({ age: { gte: 18 } });
+  const { sql, params } = orm.createQueryBuilder().select('*').from(adults, 'a').where({ 'a.id': { gt: 5 } }).toSQL();
+
+  assert.strictEqual(sql, 'SELECT * FROM (SELECT id FROM user WHERE age >= {p_0:UInt8}) AS a WHERE a.id > {p_1:UInt64}');
+  assert.deepStrictEqual(params, { p_0: 18, p_1: 5 });
+});
+
+test('QueryBuilder renders FINAL, SAMPLE, LIMIT BY and SETTINGS', () => {
+  const { sql } = builder()
+    .final()
+    .sample(0.1, '1/2')
+    .limitBy(2, 'name')
+    .limit(10)
+    .settings({ max_threads: 4, use_query_cache: true, join_algorithm: 'hash' })
+    .toSQL();
+
+  assert.strictEqual(sql, 'SELECT * FROM user FINAL SAMPLE 0.1 OFFSET 1/2 LIMIT 2 BY name LIMIT 10'
+    + " SETTINGS max_threads = 4, use_query_cache = 1, join_algorithm = 'hash'");
+});
+
+test('QueryBuilder rejects invalid SAMPLE, LIMIT BY and setting names', () => {
+  assert.throws(() => builder().sample('abc'), /Invalid sample value "abc"/);
+  assert.throws(() => builder().limitBy(2, []), /limitBy expects a row count and at least one column/);
+  assert.throws(() => builder().limitBy(-1, 'name'), /limitBy expects a row count/);
+  assert.throws(() => builder().settings({ 'max_threads = 1; DROP': 1 }), /Invalid setting name/);
+});
+
+test('QueryBuilder renders GROUP BY modifiers', () => {
+  const grouped = (options) => orm.createQueryBuilder(User).select(['age', 'count() AS c']).from('user').groupBy('age', options).toSQL().sql;
+
+  assert.strictEqual(grouped({ rollup: true, totals: true }), 'SELECT age, count() AS c FROM user GROUP BY age WITH ROLLUP WITH TOTALS');
+  assert.strictEqual(grouped({ cube: true }), 'SELECT age, count() AS c FROM user GROUP BY age WITH CUBE');
+  assert.throws(() => grouped({ rollup: true, cube: true }), /cannot use both ROLLUP and CUBE/);
+});
+
+test('QueryBuilder renders WITH FILL with bound values and raw expressions', () => {
+  const days = orm.createQueryBuilder(User).select('created_at').from('user')
+    .orderBy('created_at', { withFill: { from: 'toDate(\'2024-01-01\')', to: 'today()', step: 'INTERVAL 1 DAY' } })
+    .toSQL();
+  const ages = orm.createQueryBuilder(User).select('age').from('user')
+    .orderBy([{ field: 'age', direction: 'DESC', withFill: { from: 90, to: 0, step: -1 } }])
+    .toSQL();
+
+  assert.strictEqual(days.sql, "SELECT created_at FROM user ORDER BY created_at ASC WITH FILL FROM toDate('2024-01-01') TO today() STEP INTERVAL 1 DAY");
+  assert.strictEqual(ages.sql, 'SELECT age FROM user ORDER BY age DESC WITH FILL FROM {p_0:UInt8} TO {p_1:UInt8} STEP -1');
+  assert.deepStrictEqual(ages.params, { p_0: 90, p_1: 0 });
+});
+
+const Price = orm.define('Price', {
+  user_id: DataTypes.UInt64,
+  ts: DataTypes.DateTime,
+  amount: DataTypes.Float64
+}, { tableName: 'price' });
+
+const aliased = () => orm.createQueryBuilder(User).select('*').from('user', 'u');
+
+test('QueryBuilder renders join types, strictness, GLOBAL and USING', () => {
+  assert.strictEqual(aliased().fullJoin('post', { 'u.id': 'p.user_id' }, { as: 'p', strictness: 'ALL' }).crossJoin('numbers(3)').toSQL().sql,
+    'SELECT * FROM user AS u FULL ALL JOIN post AS p ON u.id = p.user_id CROSS JOIN numbers(3)');
+  assert.strictEqual(aliased().join('post', ['id', 'user_id'], { type: 'left', strictness: 'semi' }).rightJoin('tag', ['id']).toSQL().sql,
+    'SELECT * FROM user AS u LEFT SEMI JOIN post USING (id, user_id) RIGHT JOIN tag USING (id)');
+
+  const { sql, params } = aliased()
+    .leftJoin(Price, { 'u.id': 'p.user_id', 'p.amount': { gt: 10 } }, { as: 'p', strictness: 'ANY', global: true })
+    .toSQL();
+
+  assert.strictEqual(sql, 'SELECT * FROM user AS u GLOBAL LEFT ANY JOIN price AS p ON u.id = p.user_id AND p.amount > {p_0:Float64}');
+  assert.deepStrictEqual(params, { p_0: 10 });
+});
+
+test('QueryBuilder ASOF joins require an inequality', () => {
+  const { sql } = aliased().asofJoin('price', { 'u.id': 'p.user_id', 'u.created_at': { gte: 'p.ts' } }, { as: 'p', type: 'LEFT' }).toSQL();
+
+  assert.strictEqual(sql, 'SELECT * FROM user AS u LEFT ASOF JOIN price AS p ON u.id = p.user_id AND u.created_at >= p.ts');
+  assert.throws(() => aliased().asofJoin('price', { 'u.id': 'p.user_id' }), /ASOF JOIN requires an inequality/);
+});
+
+test('QueryBuilder rejects invalid join combinations', () => {
+  assert.throws(() => aliased().join('post', null), /INNER JOIN requires a condition/);
+  assert.throws(() => aliased().join('post', 'u.id = p.id', 'CROSS'), /CROSS JOIN takes no condition/);
+  assert.throws(() => aliased().join('post', 'u.id = p.id', { type: 'FULL', strictness: 'SEMI' }), /SEMI JOIN cannot be combined with FULL JOIN/);
+  assert.throws(() => aliased().join('post', 'u.id = p.id', { type: 'RIGHT', strictness: 'ASOF' }), /ASOF JOIN cannot be combined with RIGHT JOIN/);
+  assert.throws(() => aliased().join('post', 'u.id = p.id', { type: 'OUTER' }), /Unknown join type "OUTER"/);
+  assert.throws(() => aliased().join('post', 'u.id = p.id', { strictness: 'MOST' }), /Unknown join strictness "MOST"/);
+  assert.throws(() => aliased().join('post', []), /USING requires at least one column/);
+  assert.throws(() => aliased().join('post', { 'u.id': { like: 'x' } }), /Unknown join operator "like" for u.id/);
+});
+
+test('QueryBuilder joins a subquery and types conditions on its alias', () => {
+  const latest = orm.createQueryBuilder(Price).select(['user_id', 'max(ts) AS ts']).from('price').where({ amount: { gt: 5 } }).groupBy('user_id');
+
+  const { sql, params } = aliased()
+    .where({ age: 30 })
+    .join(latest, { 'u.id': 'r.user_id' }, { as: 'r' })
+    .where({ 'r.user_id': 3 })
+    .toSQL();
+
+  assert.strictEqual(sql, 'SELECT * FROM user AS u'
+    + ' INNER JOIN (SELECT user_id, max(ts) AS ts FROM price WHERE amount > {p_1:Float64} GROUP BY user_id) AS r ON u.id = r.user_id'
+    + ' WHERE age = {p_0:UInt8} AND r.user_id = {p_2:UInt64}');
+  assert.deepStrictEqual(params, { p_0: 30, p_1: 5, p_2: 3 });
+});
+
+/**
+ * ORM whose only host streams `count` single-row chunks, pulled on demand
+ */
+const streamingORM = (count, onChunk = () => {}) => {
+  const orm = createORM();
+  const Event = orm.define('Event', { id: { type: DataTypes.UInt64, primaryKey: true } });
+  const state = { pulled: 0, closed: false };
+
+  function* chunks() {
+    for (let i = 0; i < count; i++) {
+      state.pulled++;
+      onChunk(i);
+      yield [{ json: () => ({ id: String(i) }) }];
+    }
+  }
+
+  for (const host of orm.connection.hosts.values()) {
+    host.client = {
+      query: async () => ({ stream: () => Readable.from(chunks()), close: () => { state.closed = true; } }),
+      close: async () => {}
+    };
+  }
+  orm.connection.isConnected = true;
+
+  return { query: orm.createQueryBuilder(Event).select('*').from('event'), state };
+};
+
+test('QueryBuilder streams hydrated rows one at a time or in batches', async () => {
+  const rows = [];
+  for await (const row of streamingORM(3).query.stream()) {
+    rows.push(row);
+  }
+
+  const batches = [];
+  for await (const batch of streamingORM(5).query.stream({ batchSize: 2 })) {
+    batches.push(batch.map(row => row.id));
+  }
+
+  assert.deepStrictEqual(rows.map(row => [row.constructor.name, row.id]), [['Event', '0'], ['Event', '1'], ['Event', '2']]);
+  assert.deepStrictEqual(batches, [['0', '1'], ['2', '3'], ['4']]);
+});
+
+test('QueryBuilder streams stop reading and close the response when the consumer stops', async () => {
+  const { query, state } = streamingORM(10000);
+
+  for await (const row of query.stream()) {
+    if (row.id === '1') {
+      break;
+    }
+  }
+
+  assert.ok(state.pulled < 100, `read ${state.pulled} chunks ahead of the consumer`);
+  assert.strictEqual(state.closed, true);
+});
+
+test('QueryBuilder streams end quietly when their abort signal fires', async () => {
+  const controller = new AbortController();
+  const { query, state } = streamingORM(100, () => {
+    if (controller.signal.aborted) {
+      throw new Error('The user aborted a request.');
+    }
+  });
+
+  const rows = [];
+  for await (const row of query.stream({ abortSignal: controller.signal })) {
+    rows.push(row.id);
+    controller.abort();
+  }
+
+  assert.ok(rows.length >= 1 && rows.length < 100);
+  assert.strictEqual(state.closed, true);
+});
@@ -0,0 +1,101 @@
+const { test, assert } = require('./runner');
+const { createORM, mockConnection } = require('./helpers');
+const { DataTypes } = require('..');
+
+const orm = createORM();
+const User = orm.define('User', {
+  id: { type: DataTypes.UInt64, primaryKey: true },
+  name: DataTypes.String
+}, { tableName: 'user' });
+const Post = orm.define('Post', {
+  id: { type: DataTypes.UInt64, primaryKey: true },
+  user_id: DataTypes.UInt64,
+  title: DataTypes.String
+}, { tableName: 'post' });
+
+User.hasMany(Post, { as: 'posts', foreignKey: 'user_id' });
+
+test('Join includes apply LIMIT and OFFSET to parent records of hasMany includes', () => {
+  const { sql } = orm.relations.createJoinQuery(User, [{ model: Post }], { where: { name: 'Ann' }, orderBy: 'id', limit: 1, offset: 2 }).toSQL();
+
+  assert.strictEqual(sql, 'SELECT user.id AS id, user.name AS name, posts.id AS posts__id, posts.user_id AS posts__user_id,'
+    + ' posts.title AS posts__title'
+    + ' FROM (SELECT * FROM user WHERE name = {p_0:String} ORDER BY id ASC LIMIT 1 OFFSET 2) AS user'
+    + ' LEFT JOIN post AS posts ON user.id = posts.user_id ORDER BY id ASC');
+});
+
+test('Join includes keep parents without a required match out of the page', () => {
+  const { sql } = orm.relations.createJoinQuery(User, [{ model: Post, where: { title: 'News' } }], { limit: 10 }).toSQL();
+
+  assert.ok(sql.includes('FROM (SELECT * FROM user WHERE id IN (SELECT user_id FROM post WHERE title = {p_0:String}) LIMIT 10) AS user'));
+  assert.ok(sql.endsWith('INNER JOIN post AS posts ON user.id = posts.user_id WHERE posts.title = {p_1:String}'));
+});
+
+test('Associations to the same model with different aliases are kept apart', () => {
+  const orm = createORM();
+  const Member = orm.define('Member', { id: { type: DataTypes.UInt64, primaryKey: true }, name: DataTypes.String });
+  const Doc = orm.define('Doc', {
+    id: { type: DataTypes.UInt64, primaryKey: true },
+    author_id: DataTypes.UInt64,
+    editor_id: DataTypes.UInt64
+  });
+
+  Doc.belongsTo(Member, { as: 'author', foreignKey: 'author_id' });
+  Doc.belongsTo(Member, { as: 'editor', foreignKey: 'editor_id' });
+
+  assert.deepStrictEqual([...Doc.associations.keys()], ['author', 'editor']);
+  assert.strictEqual(orm.relations.getAssociation(Doc, { as: 'editor' }).options.foreignKey, 'editor_id');
+
+  const { sql } = orm.relations.createJoinQuery(Doc, [{ as: 'author' }, { as: 'editor' }]).toSQL();
+  assert.ok(sql.includes('LEFT JOIN member AS author ON doc.author_id = author.id'));
+  assert.ok(sql.includes('LEFT JOIN member AS editor ON doc.editor_id = editor.id'));
+});
+
+test('Includes accept a single attribute given as a string', () => {
+  assert.deepStrictEqual(orm.relations.withKeys(User, { attributes: 'name' }, [{ model: Post }]).attributes, ['name', 'id']);
+
+  const { sql } = orm.relations.createJoinQuery(User, [{ model: Post, attributes: 'title' }], { attributes: 'name' }).toSQL();
+  assert.strictEqual(sql, 'SELECT user.name AS name, user.id AS id, posts.title AS posts__title, posts.user_id AS posts__user_id'
+    + ' FROM user LEFT JOIN post AS posts ON user.id = posts.user_id');
+});
+
+test('Separate includes send parent keys in chunks', async () => {
+  const calls = mockConnection(orm.connection, (call) => ({
+    data: call.query_params.p_0 === 1 ? [{ id: 7, user_id: 1, title: 'First' }] : []
+  }));
+  const users = Array.from({ length: 2500 }, (_, i) => ({ id: i + 1 }));
+
+  const loaded = await orm.relations.loadIncludes(User, users, [{ model: Post }]);
+
+  assert.deepStrictEqual(calls.map(call => Object.keys(call.query_params).length), [1000, 1000, 500]);
+  assert.strictEqual(loaded[0].posts[0].title, 'First');
+  assert.deepStrictEqual(loaded[2499].posts, []);
+});
+
+test('Separate includes keep parents without a required match out of the page', async () => {
+  const calls = mockConnection(orm.connection);
+
+  await User.findAll({ include: [{ model: Post, where: { title: 'News' } }], where: { name: 'Ann' }, limit: 10 });
+
+  assert.strictEqual(calls[0].query, 'SELECT * FROM user'
+    + ' WHERE (name = {p_0:String} AND id IN (SELECT user_id FROM post WHERE title = {p_1:String})) LIMIT 10');
+});
+
+test('Lookup includes select dictGet columns instead of joining', async () => {
+  const orm = createORM();
+  const Country = orm.define('Country', {
+    id: { type: DataTypes.UInt64, primaryKey: true },
+    name: DataTypes.String,
+    region: DataTypes.String
+  }, { tableName: 'countries', dictionary: {} });
+  const Event = orm.define('Event', { id: DataTypes.UInt64, country_id: DataTypes.UInt64, city_id: DataTypes.UInt64 });
+  Event.lookup(Country, { key: 'country_id', as: 'country' });
+  Event.lookup(Country, { key: ['country_id', 'city_id'], as: 'place', orNull: true });
+  const calls = mockConnection(orm.connection);
+
+  await Event.findAll({ include: [{ as: 'country', attributes: { country: 'name' } }, { as: 'place', attributes: ['region'] }] });
+
+  assert.strictEqual(calls[0].query, "SELECT *, dictGet('countries_dict', 'name', country_id) AS country,"
+    + " dictGetOrNull('countries_dict', 'region', tuple(country_id, city_id)) AS place_region FROM event");
+  assert.strictEqual(Event.dictGet('country', 'region'), "dictGet('countries_dict', 'region', country_id)");
+});
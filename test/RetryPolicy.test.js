@@ -0,0 +1,49 @@
+const { test, assert } = require('./runner');
+const { createORM, mockConnection } = require('./helpers');
+const { RetryPolicy, ConnectionError, QueryError } = require('..');
+const { wrapError } = require('../lib/Errors');
+
+const policy = new RetryPolicy({ retries: 2 });
+const networkError = (code) => wrapError(Object.assign(new Error(code), { code }), 'Request failed');
+
+test('RetryPolicy retries requests that never reached a server', () => {
+  for (const code of ['ECONNREFUSED', 'EHOSTUNREACH', 'ENOTFOUND', 'EAI_AGAIN']) {
+    const error = networkError(code);
+
+    assert.ok(error instanceof ConnectionError && error.retryable, code);
+    assert.strictEqual(policy.shouldRetry(error, { attempt: 1, type: 'command', options: {} }), true, code);
+  }
+});
+
+test('RetryPolicy retries ambiguous failures only for idempotent requests', () => {
+  const error = networkError('ECONNRESET');
+
+  assert.strictEqual(policy.shouldRetry(error, { attempt: 1, type: 'query', options: {} }), true);
+  assert.strictEqual(policy.shouldRetry(error, { attempt: 1, type: 'insert', options: {} }), false);
+  assert.strictEqual(policy.shouldRetry(error, { attempt: 1, type: 'command', options: { idempotent: true } }), true);
+  assert.strictEqual(policy.shouldRetry(error, {
+    attempt: 1,
+    type: 'insert',
+    options: { clickhouse_settings: { insert_deduplication_token: 'batch-1' } }
+  }), true);
+});
+
+test('RetryPolicy stops after its retries and on non-retryable errors', () => {
+  assert.strictEqual(policy.shouldRetry(networkError('ENOTFOUND'), { attempt: 3, type: 'query', options: {} }), false);
+  assert.strictEqual(policy.shouldRetry(new QueryError('Syntax error'), { attempt: 1, type: 'query', options: {} }), false);
+});
+
+test('Connection fails over from a host that cannot be resolved', async () => {
+  const orm = createORM({ hosts: ['ch1', 'ch2'] });
+  const calls = mockConnection(orm.connection, (call) => {
+    if (call.host === 'ch1') {
+      throw Object.assign(new Error('getaddrinfo ENOTFOUND ch1'), { code: 'ENOTFOUND' });
+    }
+    return { data: [] };
+  });
+
+  await orm.connection.command('SYSTEM FLUSH LOGS');
+
+  assert.deepStrictEqual(calls.map(call => call.host), ['ch1', 'ch2']);
+  assert.ok(orm.connection.pools.write.hosts[0].downUntil > Date.now());
+});
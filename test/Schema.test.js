@@ -0,0 +1,234 @@
+const { test, assert } = require('./runner');
+const { createORM, mockConnection } = require('./helpers');
+const { DataTypes, QueryError, SchemaError } = require('..');
+const Schema = require('../lib/Schema');
+
+const schema = new Schema(createORM().connection);
+
+test('Schema generates column definitions from uncalled type builders', () => {
+  assert.strictEqual(schema.generateColumnDefinition('ts', DataTypes.DateTime), 'ts DateTime');
+  assert.strictEqual(schema.generateColumnDefinition('ts', { type: DataTypes.DateTime64, comment: 'event time' }),
+    "ts DateTime64(3) COMMENT 'event time'");
+  assert.strictEqual(schema.generateColumnDefinition('payload', DataTypes.Dynamic), 'payload Dynamic');
+});
+
+test('Schema addColumn accepts uncalled type builders', async () => {
+  const orm = createORM();
+  const calls = mockConnection(orm.connection);
+
+  await new Schema(orm.connection).addColumn('events', 'ts', DataTypes.DateTime);
+
+  assert.strictEqual(calls[0].query, 'ALTER TABLE events ADD COLUMN IF NOT EXISTS ts DateTime');
+});
+
+test('Schema diffs Nested attributes per element and never drops their subcolumns', () => {
+  const Event = createORM().define('Event', {
+    id: { type: DataTypes.UInt64, primaryKey: true },
+    n: DataTypes.Nested({ a: DataTypes.String, b: DataTypes.UInt16, c: DataTypes.String }),
+    tail: DataTypes.String
+  }, { tableName: 'ev' });
+  const columns = [
+    { name: 'id', type: 'UInt64' },
+    { name: 'n.a', type: 'Array(String)' },
+    { name: 'n.b', type: 'Array(UInt8)' },
+    { name: 'n.old', type: 'Array(String)' }
+  ];
+
+  assert.deepStrictEqual(schema.diffTable(Event, columns, { drop: true }), [
+    'ALTER TABLE ev MODIFY COLUMN n.b Array(UInt16)',
+    'ALTER TABLE ev ADD COLUMN IF NOT EXISTS n.c Array(String) AFTER n.b',
+    'ALTER TABLE ev DROP COLUMN IF EXISTS n.old',
+    'ALTER TABLE ev ADD COLUMN IF NOT EXISTS tail String AFTER n.c'
+  ]);
+  assert.deepStrictEqual(schema.diffTable(Event, columns.slice(0, 3)), [
+    'ALTER TABLE ev MODIFY COLUMN n.b Array(UInt16)',
+    'ALTER TABLE ev ADD COLUMN IF NOT EXISTS n.c Array(String) AFTER n.b',
+    'ALTER TABLE ev ADD COLUMN IF NOT EXISTS tail String AFTER n.c'
+  ]);
+});
+
+test('Schema reports rejected DDL as a SchemaError with the server code', async () => {
+  const orm = createORM();
+  const Event = orm.define('Event', { id: { type: DataTypes.UInt64, primaryKey: true } });
+  mockConnection(orm.connection, () => {
+    throw Object.assign(new Error('Table default.event already exists'), { code: '57', type: 'TABLE_ALREADY_EXISTS' });
+  });
+
+  await assert.rejects(new Schema(orm.connection).createTable(Event), (error) => {
+    assert.ok(error instanceof SchemaError);
+    assert.ok(!(error instanceof QueryError));
+    assert.strictEqual(error.code, 57);
+    assert.strictEqual(error.type, 'TABLE_ALREADY_EXISTS');
+    assert.strictEqual(error.retryable, false);
+    return true;
+  });
+});
+
+test('Schema createTable with force still creates the Distributed table over an existing local table', async () => {
+  const orm = createORM({ cluster: 'main' });
+  const Event = orm.define('Event', { id: { type: DataTypes.UInt64, primaryKey: true } }, { distributed: true });
+  const calls = mockConnection(orm.connection, (call) => {
+    if (call.query.includes('event_local ON CLUSTER')) {
+      throw Object.assign(new Error('Table default.event_local already exists'), { code: '57' });
+    }
+  });
+
+  await new Schema(orm.connection, { cluster: 'main' }).createTable(Event, { force: true, ifNotExists: false });
+
+  assert.strictEqual(calls.length, 2);
+  assert.ok(calls[1].query.includes("ENGINE = Distributed('main', currentDatabase(), 'event_local', rand())"));
+});
+
+test('Schema diffs types, defaults, codecs and comments column by column', () => {
+  const Event = createORM().define('Event', {
+    id: { type: DataTypes.UInt64, primaryKey: true },
+    kind: { type: DataTypes.LowCardinality(DataTypes.String), comment: 'event kind' },
+    score: { type: DataTypes.Float64, defaultValue: 0 },
+    body: { type: DataTypes.String, codec: 'ZSTD(3)' },
+    added: DataTypes.UInt8
+  }, { tableName: 'ev' });
+  const columns = [
+    { name: 'id', type: 'UInt64' },
+    { name: 'kind', type: 'LowCardinality(String)', comment: '' },
+    { name: 'score', type: 'Float32' },
+    { name: 'body', type: 'String', default_kind: 'DEFAULT', default_expression: "''", compression_codec: 'CODEC(LZ4)' },
+    { name: 'legacy', type: 'String' }
+  ];
+
+  assert.deepStrictEqual(schema.diffTable(Event, columns), [
+    "ALTER TABLE ev COMMENT COLUMN kind 'event kind'",
+    'ALTER TABLE ev MODIFY COLUMN score Float64 DEFAULT 0',
+    'ALTER TABLE ev MODIFY COLUMN body String CODEC(ZSTD(3))',
+    'ALTER TABLE ev ADD COLUMN IF NOT EXISTS added UInt8 AFTER body'
+  ]);
+  assert.deepStrictEqual(schema.diffTable(Event, columns, { drop: true }).slice(-1), ['ALTER TABLE ev DROP COLUMN IF EXISTS legacy']);
+  assert.deepStrictEqual(schema.diffTable(Event, [columns[0]]).slice(0, 1), [
+    "ALTER TABLE ev ADD COLUMN IF NOT EXISTS kind LowCardinality(String) COMMENT 'event kind' AFTER id"
+  ]);
+});
+
+test('Schema removes a default the model no longer has and ignores equivalent types', () => {
+  const Event = createORM().define('Event', {
+    id: { type: DataTypes.UInt64, primaryKey: true },
+    price: DataTypes.Decimal(18, 2),
+    flag: DataTypes.Bool
+  }, { tableName: 'ev' });
+
+  assert.deepStrictEqual(schema.diffTable(Event, [
+    { name: 'id', type: 'UInt64', default_kind: 'DEFAULT', default_expression: '0' },
+    { name: 'price', type: 'Decimal(18, 2)' },
+    { name: 'flag', type: 'Bool' }
+  ]), ['ALTER TABLE ev MODIFY COLUMN id REMOVE DEFAULT']);
+});
+
+test('sync with alter and dryRun returns the plan without running it', async () => {
+  const orm = createORM();
+  orm.define('Event', { id: { type: DataTypes.UInt64, primaryKey: true }, name: DataTypes.String });
+  orm.define('Visit', { id: { type: DataTypes.UInt64, primaryKey: true } });
+  const calls = mockConnection(orm.connection, (call) => {
+    if (call.query.includes('system.tables')) {
+      return { data: [{ count: call.query_params.table === 'event' ? 1 : 0 }] };
+    }
+    return { data: [{ name: 'id', type: 'UInt64' }] };
+  });
+
+  const plan = await orm.sync({ alter: true, dryRun: true });
+
+  assert.strictEqual(plan[0], 'ALTER TABLE event ADD COLUMN IF NOT EXISTS name String AFTER id');
+  assert.ok(plan[1].startsWith('CREATE TABLE IF NOT EXISTS visit'));
+  assert.ok(calls.every(call => call.method === 'query'));
+});
+
+test('Schema renders partitioning, keys, sampling, TTL, indexes and projections', () => {
+  const orm = createORM();
+  const Event = orm.define('Event', {
+    ts: DataTypes.DateTime,
+    user_id: DataTypes.UInt64,
+    url: { type: DataTypes.String, index: { type: 'bloom_filter(0.01)', granularity: 4 } },
+    payload: { type: DataTypes.String, ttl: 'ts + INTERVAL 7 DAY' }
+  }, {
+    tableName: 'events',
+    partitionBy: 'toYYYYMM(ts)',
+    orderBy: ['user_id', 'ts', 'intHash32(user_id)'],
+    primaryKey: ['user_id', 'ts'],
+    sampleBy: 'intHash32(user_id)',
+    ttl: [
+      { expression: 'ts + INTERVAL 30 DAY', toVolume: 'cold' },
+      { expression: 'ts + INTERVAL 1 YEAR', delete: true }
+    ],
+    indexes: [{ name: 'idx_url_tokens', expression: 'lower(url)', type: 'tokenbf_v1(512, 3, 0)', granularity: 2 }],
+    projections: [{ name: 'by_url', query: orm.createQueryBuilder().select(['url', 'count()']).groupBy('url') }],
+    settings: { index_granularity: 8192 }
+  });
+
+  assert.strictEqual(schema.generateCreateTableSQL(Event), [
+    'CREATE TABLE IF NOT EXISTS events (',
+    '  ts DateTime,',
+    '  user_id UInt64,',
+    '  url String,',
+    '  payload String TTL ts + INTERVAL 7 DAY,',
+    '  INDEX idx_url url TYPE bloom_filter(0.01) GRANULARITY 4,',
+    '  INDEX idx_url_tokens lower(url) TYPE tokenbf_v1(512, 3, 0) GRANULARITY 2,',
+    '  PROJECTION by_url (SELECT url, count() GROUP BY url)',
+    ') ENGINE = MergeTree()',
+    'ORDER BY (user_id, ts, intHash32(user_id))',
+    'PARTITION BY toYYYYMM(ts)',
+    'PRIMARY KEY (user_id, ts)',
+    'SAMPLE BY intHash32(user_id)',
+    "TTL ts + INTERVAL 30 DAY TO VOLUME 'cold', ts + INTERVAL 1 YEAR DELETE",
+    'SETTINGS index_granularity = 8192'
+  ].join('\n'));
+});
+
+test('Schema rejects a primary key that is not a prefix of ORDER BY', () => {
+  const Event = createORM().define('Event', { ts: DataTypes.DateTime, user_id: DataTypes.UInt64 }, {
+    orderBy: ['user_id', 'ts'],
+    primaryKey: ['ts']
+  });
+
+  assert.throws(() => schema.generateCreateTableSQL(Event), {
+    name: 'SchemaError',
+    message: 'Primary key of Event must be a prefix of its ORDER BY (user_id, ts)'
+  });
+});
+
+test('Schema generates dictionary DDL from a model', () => {
+  const Country = createORM().define('Country', {
+    id: { type: DataTypes.UInt64, primaryKey: true },
+    name: { type: DataTypes.String, defaultValue: 'unknown' },
+    parent_id: { type: DataTypes.UInt64, hierarchical: true }
+  }, { tableName: 'countries', dictionary: { lifetime: 600 } });
+  const Rate = createORM().define('Rate', {
+    currency: DataTypes.String,
+    day: DataTypes.Date,
+    rate: DataTypes.Float64
+  }, {
+    dictionary: {
+      name: 'rates',
+      key: ['currency', 'day'],
+      source: { type: 'mysql', host: 'db', port: 3306, table: 'rates' },
+      lifetime: { min: 0, max: 60 }
+    }
+  });
+
+  assert.strictEqual(schema.generateCreateDictionarySQL(Country), [
+    'CREATE DICTIONARY IF NOT EXISTS countries_dict (',
+    '  id UInt64,',
+    "  name String DEFAULT 'unknown',",
+    '  parent_id UInt64 HIERARCHICAL',
+    ')',
+    'PRIMARY KEY id',
+    "SOURCE(CLICKHOUSE(TABLE 'countries'))",
+    'LAYOUT(HASHED())',
+    'LIFETIME(600)'
+  ].join('\n'));
+  assert.ok(schema.generateCreateDictionarySQL(Rate).includes([
+    'PRIMARY KEY currency, day',
+    "SOURCE(MYSQL(HOST 'db' PORT 3306 TABLE 'rates'))",
+    'LAYOUT(COMPLEX_KEY_HASHED())',
+    'LIFETIME(MIN 0 MAX 60)'
+  ].join('\n')));
+  assert.throws(() => schema.generateCreateDictionarySQL(createORM().define('Plain', { id: DataTypes.UInt64 })), {
+    name: 'SchemaError'
+  });
+});
@@ -0,0 +1,20 @@
+const { test, assert } = require('./runner');
+const { parseType, normalizeType, unwrapType } = require('../lib/TypeParser');
+
+test('TypeParser parses nested types with quoted arguments', () => {
+  assert.deepStrictEqual(parseType("Nullable(DateTime64(3, 'Asia/Tokyo'))"), {
+    name: 'Nullable',
+    args: [{ name: 'DateTime64', args: [3, 'Asia/Tokyo'] }]
+  });
+});
+
+test('TypeParser normalizes aliases and Decimal shorthands', () => {
+  assert.strictEqual(normalizeType('Boolean'), 'Bool');
+  assert.strictEqual(normalizeType('Decimal32(4)'), 'Decimal(9, 4)');
+  assert.strictEqual(normalizeType('Array(Decimal(10))'), 'Array(Decimal(10, 0))');
+  assert.strictEqual(normalizeType("DateTime('UTC')"), "DateTime('UTC')");
+});
+
+test('TypeParser unwraps Nullable and LowCardinality', () => {
+  assert.strictEqual(unwrapType('LowCardinality(Nullable(String))').name, 'String');
+});
@@ -0,0 +1,35 @@
+const { test, assert } = require('./runner');
+const { createORM } = require('./helpers');
+const { DataTypes, ValidationError } = require('..');
+const Validator = require('../lib/Validator');
+
+const orm = createORM();
+const Event = orm.define('Event', {
+  id: { type: DataTypes.UInt32, primaryKey: true, allowNull: false },
+  name: { type: DataTypes.String, validate: { notEmpty: value => value !== '' || 'must not be empty' } },
+  at: "DateTime('Asia/Tokyo')",
+  at_utc: DataTypes.DateTime64(3)
+});
+
+const validator = new Validator(Event);
+
+test('Validator reports every problem of a batch at once', () => {
+  assert.throws(() => validator.validate([{ name: '' }, { id: -1, extra: 1 }]), (error) => {
+    assert.ok(error instanceof ValidationError);
+    assert.deepStrictEqual(error.errors.map(({ row, field }) => [row, field]), [
+      [0, 'id'],
+      [0, 'name'],
+      [1, 'extra'],
+      [1, 'id']
+    ]);
+    assert.strictEqual(error.errors[1].message, 'must not be empty');
+    return true;
+  });
+});
+
+test('Validator writes Date objects as unix timestamps', () => {
+  const [row] = validator.validate([{ id: 1, at: new Date('2024-01-01T00:00:00Z'), at_utc: new Date('2024-01-01T00:00:00.5Z') }]);
+
+  assert.strictEqual(row.at, 1704067200);
+  assert.strictEqual(row.at_utc, '1704067200.500');
+});
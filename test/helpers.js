@@ -0,0 +1,50 @@
+const { Readable } = require('stream');
+const ClickHouseORM = require('..');
+
+/**
+ * ORM that never opens a connection
+ */
+function createORM(config = {}) {
+  return new ClickHouseORM({ host: 'localhost', ...config });
+}
+
+/**
+ * Stand-in for an @clickhouse/client instance that records every call
+ *
+ * `respond(call)` returns the value of query().json(), or throws to fail
+ * the request.
+ */
+function fakeClient(name, calls, respond = () => ({ data: [] })) {
+  const record = (method) => async (params) => {
+    const call = { host: name, method, ...params };
+    calls.push(call);
+    const response = await respond(call);
+    return method === 'query'
+      ? { json: async () => response, stream: () => Readable.from(response.rows ? [response.rows] : []), close() {} }
+      : response;
+  };
+
+  return {
+    query: record('query'),
+    command: record('command'),
+    insert: record('insert'),
+    close: async () => {}
+  };
+}
+
+/**
+ * Replace the clients of every host of a connection with fake ones
+ */
+function mockConnection(connection, respond) {
+  const calls = [];
+
+  for (const host of connection.hosts.values()) {
+    host.client = fakeClient(host.config.host, calls, respond);
+  }
+
+  connection.client = connection.pools.write.hosts[0].client;
+  connection.isConnected = true;
+  return calls;
+}
+
+module.exports = { createORM, fakeClient, mockConnection };
@@ -0,0 +1,12 @@
+const fs = require('fs');
+const path = require('path');
+const { run } = require('./runner');
+
+// Each *.test.js file registers its tests when loaded
+for (const file of fs.readdirSync(__dirname).filter(name => name.endsWith('.test.js')).sort()) {
+  require(path.join(__dirname, file));
+}
+
+run().then(failed => {
+  process.exitCode = failed > 0 ? 1 : 0;
+});
@@ -0,0 +1,33 @@
+const assert = require('assert');
+
+const tests = [];
+
+/**
+ * Register a test; `fn` may be async
+ */
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+/**
+ * Run the registered tests in order and report failures
+ */
+async function run() {
+  let failed = 0;
+
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`ok - ${name}`);
+    } catch (error) {
+      failed++;
+      console.log(`not ok - ${name}`);
+      console.log(error.stack.split('\n').map(line => `  ${line}`).join('\n'));
+    }
+  }
+
+  console.log(`\n${tests.length - failed}/${tests.length} passed`);
+  return failed;
+}
+
+module.exports = { test, run, assert };